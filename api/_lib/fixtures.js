@@ -0,0 +1,169 @@
+/**
+ * api/_lib/fixtures.js
+ *
+ * Offline fixture mode for the proxies. When PROXY_FIXTURES=1 is set (e.g.
+ * `PROXY_FIXTURES=1 vercel dev`), /api/metaforge/* and /api/ardb/* answer
+ * from the real upstream payloads captured in src/data/sampleResponses
+ * instead of going to the network. Useful for offline development, demos
+ * and reproducing upstream-shape bugs deterministically.
+ *
+ * Fixture map:
+ *   MetaForge  arc-raiders/items            → items.json   (paginated by ?page=&limit=)
+ *              arc-raiders/arcs             → arcs.json    (paginated)
+ *              arc-raiders/quests           → quests.json  (paginated)
+ *              arc-raiders/traders          → traders.json
+ *              arc-raiders/events-schedule  → events-schedule.json
+ *   ARDB       items                        → synthesized from every item reference
+ *                                              inside the ardb-*.json fixtures
+ *              items/:id                    → ardb-item-{id}.json
+ *              arc-enemies                  → ardb-enemies-list.json
+ *              arc-enemies/:id              → ardb-enemy-{id}.json
+ *
+ * Detail routes without a captured fixture answer 404 fixture_not_found.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '..', '..', 'src', 'data', 'sampleResponses');
+
+/** MetaForge's page size when ?limit= is omitted (matches arcs.json pagination). */
+const DEFAULT_PAGE_LIMIT = 50;
+
+/** @type {Map<string, *>} file name → parsed JSON (null when missing) */
+const _files = new Map();
+
+/**
+ * True when the proxies should serve fixtures instead of calling upstream.
+ *
+ * @returns {boolean}
+ */
+function fixturesEnabled() {
+  const flag = (process.env.PROXY_FIXTURES ?? '').toLowerCase();
+  return flag === '1' || flag === 'true';
+}
+
+function readFixture(file) {
+  if (_files.has(file)) return _files.get(file);
+  let data = null;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[fixtures] Could not read ${file}:`, err.message);
+  }
+  _files.set(file, data);
+  return data;
+}
+
+function notFound(file) {
+  return {
+    status: 404,
+    body: {
+      error:   'fixture_not_found',
+      message: `No fixture captured for this route (expected src/data/sampleResponses/${file}).`,
+    },
+  };
+}
+
+/**
+ * Slices a full `{ data: [] }` fixture into one MetaForge-style page.
+ *
+ * @param {object} fixture  Parsed fixture with a complete data array
+ * @param {object} query    Validated req.query
+ * @returns {{ data: object[], pagination: object }}
+ */
+function paginate(fixture, query) {
+  const all        = fixture.data ?? [];
+  const limit      = Number(query.limit) || DEFAULT_PAGE_LIMIT;
+  const page       = Number(query.page) || 1;
+  const totalPages = Math.max(1, Math.ceil(all.length / limit));
+  return {
+    data: all.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total:       all.length,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+const METAFORGE_FILES = {
+  'arc-raiders/items':           { file: 'items.json',           paginated: true },
+  'arc-raiders/arcs':            { file: 'arcs.json',            paginated: true },
+  'arc-raiders/quests':          { file: 'quests.json',          paginated: true },
+  'arc-raiders/traders':         { file: 'traders.json',         paginated: false },
+  'arc-raiders/events-schedule': { file: 'events-schedule.json', paginated: false },
+};
+
+/**
+ * Fixture response for a matched MetaForge route.
+ *
+ * @param {string} routePath  Declared route path, e.g. 'arc-raiders/items'
+ * @param {object} query      Validated req.query
+ * @returns {{ status: number, body: * }}
+ */
+function metaforgeFixture(routePath, query) {
+  const spec = METAFORGE_FILES[routePath];
+  const fixture = spec && readFixture(spec.file);
+  if (!fixture) return notFound(spec?.file ?? routePath);
+  return { status: 200, body: spec.paginated ? paginate(fixture, query) : fixture };
+}
+
+/**
+ * ARDB's /items list has no captured fixture, but every detail fixture
+ * embeds list-shaped item references (crafting inputs, recycle outputs,
+ * variants, drop tables…). Collect them, deduplicated by id, into a list.
+ */
+function synthesizeArdbItemsList() {
+  const byId = new Map();
+  const visit = (node) => {
+    if (Array.isArray(node)) { node.forEach(visit); return; }
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.id === 'string' && typeof node.name === 'string' && 'rarity' in node && 'type' in node) {
+      if (!byId.has(node.id)) {
+        const { id, name, rarity, type, value, icon, foundIn, updatedAt } = node;
+        byId.set(id, { id, name, rarity, type, value, icon, foundIn, updatedAt });
+      }
+    }
+    Object.values(node).forEach(visit);
+  };
+  for (const file of fs.readdirSync(FIXTURE_DIR)) {
+    if (/^ardb-(item|enemy)-.+\.json$/.test(file)) visit(readFixture(file));
+  }
+  return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Fixture response for a matched ARDB route.
+ *
+ * @param {string} routePath  Declared route path, e.g. 'items/:id'
+ * @param {object} params     Path params from matchRoute()
+ * @returns {{ status: number, body: * }}
+ */
+function ardbFixture(routePath, params) {
+  switch (routePath) {
+    case 'items':
+      return { status: 200, body: synthesizeArdbItemsList() };
+    case 'arc-enemies': {
+      const list = readFixture('ardb-enemies-list.json');
+      return list ? { status: 200, body: list } : notFound('ardb-enemies-list.json');
+    }
+    case 'items/:id':
+    case 'arc-enemies/:id': {
+      const file = `ardb-${routePath === 'items/:id' ? 'item' : 'enemy'}-${params.id}.json`;
+      const detail = readFixture(file);
+      return detail ? { status: 200, body: detail } : notFound(file);
+    }
+    default:
+      return notFound(routePath);
+  }
+}
+
+module.exports = {
+  fixturesEnabled,
+  metaforgeFixture,
+  ardbFixture,
+};
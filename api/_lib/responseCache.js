@@ -0,0 +1,155 @@
+/**
+ * api/_lib/responseCache.js
+ *
+ * In-process response cache shared by the MetaForge and ARDB proxies.
+ * Files under api/_lib are ignored by Vercel's function router, so this is
+ * plain shared code — not an endpoint.
+ *
+ * Each upstream URL gets one cache entry with its own TTL:
+ *   • fresh  (age <= ttl)               → served straight from memory  (HIT)
+ *   • stale  (ttl < age <= ttl + grace) → served immediately while a single
+ *                                         background refresh runs       (STALE)
+ *   • absent / past grace               → caller waits for upstream      (MISS)
+ *
+ * If a blocking refresh fails and an expired entry still exists, the expired
+ * copy is served rather than an error (stale-if-error). A warm serverless
+ * instance therefore rides out short upstream outages for every open tab.
+ *
+ * Only 2xx JSON responses are cached. Entries carry a strong ETag derived
+ * from the body so handlers can answer If-None-Match with 304.
+ */
+
+const crypto = require('crypto');
+
+/** How long past its TTL an entry may still be served while revalidating. */
+const STALE_GRACE_MS = 24 * 60 * 60 * 1000; // 24 h
+
+/** Hard cap on cached URLs per instance — oldest-inserted entries are dropped first. */
+const MAX_ENTRIES = 200;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {number} status    Upstream HTTP status (always 2xx for stored entries)
+ * @property {*}      body      Parsed JSON body
+ * @property {string} etag      Quoted ETag value, e.g. "\"3f2a…\""
+ * @property {number} storedAt  Epoch ms the entry was written
+ * @property {number} ttl       Freshness lifetime in ms
+ */
+
+/** @type {Map<string, CacheEntry>} url → entry (insertion order doubles as age order) */
+const _store = new Map();
+
+/** @type {Map<string, Promise<CacheEntry>>} url → in-flight upstream request */
+const _inflight = new Map();
+
+function etagFor(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex');
+  return `"${hash}"`;
+}
+
+function remember(url, result, ttl) {
+  const entry = {
+    status:   result.status,
+    body:     result.body,
+    etag:     etagFor(result.body),
+    storedAt: Date.now(),
+    ttl,
+  };
+  if (result.status >= 200 && result.status < 300) {
+    _store.delete(url); // re-insert so the Map order tracks recency
+    _store.set(url, entry);
+    while (_store.size > MAX_ENTRIES) _store.delete(_store.keys().next().value);
+  }
+  return entry;
+}
+
+/**
+ * Runs `fetchUpstream` once per URL at a time; concurrent callers share it.
+ *
+ * @param {string}   url
+ * @param {number}   ttl
+ * @param {() => Promise<{ status: number, body: * }>} fetchUpstream
+ * @returns {Promise<CacheEntry>}
+ */
+function refresh(url, ttl, fetchUpstream) {
+  if (_inflight.has(url)) return _inflight.get(url);
+  const p = fetchUpstream()
+    .then((result) => remember(url, result, ttl))
+    .finally(() => _inflight.delete(url));
+  _inflight.set(url, p);
+  return p;
+}
+
+/**
+ * Returns a cached or freshly fetched response for `url`.
+ *
+ * `fetchUpstream` must resolve to `{ status, body }` with an already-parsed
+ * JSON body, and reject on network failure. Non-2xx results are passed
+ * through to the caller but never stored.
+ *
+ * @param {string} url
+ * @param {number} ttl  Freshness lifetime in ms
+ * @param {() => Promise<{ status: number, body: * }>} fetchUpstream
+ * @returns {Promise<{ entry: CacheEntry, cacheStatus: 'HIT'|'STALE'|'MISS' }>}
+ */
+async function getOrFetch(url, ttl, fetchUpstream) {
+  const cached = _store.get(url);
+  const ageMs  = cached ? Date.now() - cached.storedAt : Infinity;
+
+  if (cached && ageMs <= cached.ttl) {
+    return { entry: cached, cacheStatus: 'HIT' };
+  }
+
+  if (cached && ageMs <= cached.ttl + STALE_GRACE_MS) {
+    refresh(url, ttl, fetchUpstream).catch((err) => {
+      console.warn(`[proxy-cache] Background refresh failed for ${url}:`, err.message);
+    });
+    return { entry: cached, cacheStatus: 'STALE' };
+  }
+
+  try {
+    const entry = await refresh(url, ttl, fetchUpstream);
+    // An upstream error with an old copy on hand — prefer the old copy.
+    if (cached && (entry.status < 200 || entry.status >= 300)) {
+      return { entry: cached, cacheStatus: 'STALE' };
+    }
+    return { entry, cacheStatus: 'MISS' };
+  } catch (err) {
+    if (cached) return { entry: cached, cacheStatus: 'STALE' };
+    throw err;
+  }
+}
+
+/**
+ * True when the request's If-None-Match header matches the entry's ETag.
+ *
+ * @param {object}     req
+ * @param {CacheEntry} entry
+ * @returns {boolean}
+ */
+function isNotModified(req, entry) {
+  const header = req.headers?.['if-none-match'];
+  if (!header || !entry.etag) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === entry.etag);
+}
+
+/**
+ * Builds a Cache-Control value for a cached entry. Browsers revalidate each
+ * time (max-age=0 + ETag → cheap 304s); the Vercel edge may hold the
+ * response for the remaining TTL and serve it stale while revalidating.
+ *
+ * @param {CacheEntry} entry
+ * @returns {string}
+ */
+function cacheControlFor(entry) {
+  const remainingSec = Math.max(0, Math.floor((entry.storedAt + entry.ttl - Date.now()) / 1000));
+  const graceSec     = Math.floor(STALE_GRACE_MS / 1000);
+  return `public, max-age=0, s-maxage=${remainingSec}, stale-while-revalidate=${graceSec}`;
+}
+
+module.exports = {
+  getOrFetch,
+  isNotModified,
+  cacheControlFor,
+};
@@ -0,0 +1,106 @@
+/**
+ * api/_lib/routes.js
+ *
+ * Route allowlist helpers for the proxy handlers. Each proxy declares the
+ * upstream routes it supports and the query keys legal on each; anything
+ * else is rejected before a request ever leaves the function.
+ *
+ * Route declaration shape:
+ *   {
+ *     path:  'arc-raiders/items' | 'items/:id',   // ':name' matches one id segment
+ *     query: { page: QUERY.positiveInt, … },      // allowed keys → value validator
+ *     ttl:   15 * 60 * 1000,                      // cache lifetime for this route
+ *   }
+ */
+
+/** Characters allowed in a ':param' path segment (ids are slugs in both APIs). */
+const SEGMENT_RE = /^[A-Za-z0-9_-]{1,120}$/;
+
+/**
+ * Reusable query-value validators. Each returns true when the raw string
+ * value is acceptable.
+ */
+const QUERY = {
+  positiveInt: (v) => /^[1-9]\d{0,4}$/.test(v),
+  pageLimit:   (v) => /^[1-9]\d{0,2}$/.test(v) && Number(v) <= 100,
+  boolean:     (v) => v === 'true' || v === 'false',
+};
+
+/**
+ * Finds the declared route matching `path`.
+ *
+ * @param {object[]} routes  Route declarations
+ * @param {string}   path    Upstream path without leading/trailing slashes
+ * @returns {{ route: object, params: Object<string, string> }|null}
+ */
+function matchRoute(routes, path) {
+  const parts = path.replace(/^\/+|\/+$/g, '').split('/');
+  for (const route of routes) {
+    const pattern = route.path.split('/');
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(':')) {
+        if (!SEGMENT_RE.test(parts[i])) return false;
+        params[seg.slice(1)] = parts[i];
+        return true;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Validates a request's query against the route's allowed keys.
+ * The internal 'path' key injected by Vercel routing is ignored.
+ *
+ * @param {object} route
+ * @param {object} query  req.query
+ * @returns {{ error: string, message: string }|null}  null when valid
+ */
+function validateQuery(route, query) {
+  const allowed = route.query ?? {};
+  for (const [key, value] of Object.entries(query ?? {})) {
+    if (key === 'path') continue;
+    if (!(key in allowed)) {
+      const legal = Object.keys(allowed);
+      return {
+        error:   'invalid_query',
+        message: `Query parameter "${key}" is not supported on /${route.path}` +
+                 (legal.length ? ` (allowed: ${legal.join(', ')}).` : ' (no parameters allowed).'),
+      };
+    }
+    if (Array.isArray(value)) {
+      return { error: 'invalid_query', message: `Query parameter "${key}" may only appear once.` };
+    }
+    if (!allowed[key](String(value))) {
+      return { error: 'invalid_query', message: `Invalid value for "${key}": "${value}".` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the structured 404 body for an unsupported upstream path.
+ *
+ * @param {string}   upstreamName  e.g. 'MetaForge'
+ * @param {object[]} routes
+ * @param {string}   path
+ * @returns {{ error: string, message: string, supported: string[] }}
+ */
+function unknownRouteBody(upstreamName, routes, path) {
+  return {
+    error:     'unknown_route',
+    message:   `The ${upstreamName} proxy does not support /${path}.`,
+    supported: routes.map((r) => `/${r.path}`),
+  };
+}
+
+module.exports = {
+  QUERY,
+  matchRoute,
+  validateQuery,
+  unknownRouteBody,
+};
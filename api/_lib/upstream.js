@@ -0,0 +1,237 @@
+/**
+ * api/_lib/upstream.js
+ *
+ * Resilient upstream GET for the proxy handlers:
+ *   • per-attempt timeout (AbortController) inside an overall time budget,
+ *     so a hung upstream can't hold the function until Vercel kills it
+ *   • retries with full-jitter exponential backoff on network errors,
+ *     timeouts and 5xx responses (all requests here are idempotent GETs)
+ *   • one circuit breaker per upstream name — after BREAKER_THRESHOLD
+ *     consecutive failed calls the circuit opens and calls fail fast with
+ *     CircuitOpenError until BREAKER_COOLDOWN_MS has passed; then a single
+ *     trial call is let through (half-open) to decide whether to close it
+ *
+ * Tunable via environment variables (milliseconds unless noted):
+ *   UPSTREAM_TIMEOUT_MS          per-attempt timeout              (default 4000)
+ *   UPSTREAM_BUDGET_MS           total time across all attempts   (default 9000)
+ *   UPSTREAM_RETRIES             extra attempts after the first   (default 2)
+ *   UPSTREAM_BREAKER_THRESHOLD   consecutive failures to open     (default 5)
+ *   UPSTREAM_BREAKER_COOLDOWN_MS how long the circuit stays open  (default 30000)
+ */
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const TIMEOUT_MS          = envInt('UPSTREAM_TIMEOUT_MS', 4000);
+const BUDGET_MS           = envInt('UPSTREAM_BUDGET_MS', 9000);
+const RETRIES             = envInt('UPSTREAM_RETRIES', 2);
+const BREAKER_THRESHOLD   = envInt('UPSTREAM_BREAKER_THRESHOLD', 5);
+const BREAKER_COOLDOWN_MS = envInt('UPSTREAM_BREAKER_COOLDOWN_MS', 30000);
+
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_CAP_MS  = 2000;
+
+/** Seconds to suggest in Retry-After when a call fails but the circuit is still closed. */
+const DEFAULT_RETRY_AFTER_SEC = 5;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ERRORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+class CircuitOpenError extends Error {
+  constructor(upstream, retryAfterMs) {
+    super(`${upstream} circuit is open after repeated failures — not retrying for ${Math.ceil(retryAfterMs / 1000)}s.`);
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CIRCUIT BREAKER  (per warm instance, keyed by upstream name)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, { state: 'closed'|'open'|'half-open', failures: number, openedAt: number }>} */
+const _breakers = new Map();
+
+function breakerFor(upstream) {
+  if (!_breakers.has(upstream)) {
+    _breakers.set(upstream, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+  return _breakers.get(upstream);
+}
+
+/** Throws CircuitOpenError if calls to `upstream` should fail fast right now. */
+function admit(upstream) {
+  const b = breakerFor(upstream);
+  if (b.state === 'closed') return;
+  const waited = Date.now() - b.openedAt;
+  if (b.state === 'open' && waited >= BREAKER_COOLDOWN_MS) {
+    b.state = 'half-open'; // this caller is the trial request
+    return;
+  }
+  throw new CircuitOpenError(upstream, Math.max(1000, BREAKER_COOLDOWN_MS - waited));
+}
+
+function recordSuccess(upstream) {
+  const b = breakerFor(upstream);
+  b.state = 'closed';
+  b.failures = 0;
+}
+
+function recordFailure(upstream) {
+  const b = breakerFor(upstream);
+  b.failures++;
+  if (b.state === 'half-open' || b.failures >= BREAKER_THRESHOLD) {
+    if (b.state !== 'open') console.warn(`[upstream] ${upstream} circuit opened after ${b.failures} failure(s).`);
+    b.state = 'open';
+    b.openedAt = Date.now();
+  }
+}
+
+/**
+ * Seconds a client should wait before retrying `upstream`.
+ *
+ * @param {string} upstream
+ * @returns {number}
+ */
+function retryAfterSeconds(upstream) {
+  const b = breakerFor(upstream);
+  if (b.state !== 'open') return DEFAULT_RETRY_AFTER_SEC;
+  return Math.max(1, Math.ceil((BREAKER_COOLDOWN_MS - (Date.now() - b.openedAt)) / 1000));
+}
+
+/**
+ * Snapshot of a breaker's state, for diagnostics.
+ *
+ * @param {string} upstream
+ * @returns {{ state: string, failures: number, retryAfterSec: number|null }}
+ */
+function breakerStatus(upstream) {
+  const b = breakerFor(upstream);
+  return {
+    state:         b.state,
+    failures:      b.failures,
+    retryAfterSec: b.state === 'open' ? retryAfterSeconds(upstream) : null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FETCH
+// ─────────────────────────────────────────────────────────────────────────────
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Full-jitter backoff: random delay in [0, min(cap, base * 2^attempt)). */
+function backoffMs(attempt) {
+  return Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+/** One attempt, aborted after `timeoutMs`. */
+async function attempt(url, upstream, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, {
+      method:  'GET',
+      signal:  controller.signal,
+      headers: {
+        Accept:       'application/json',
+        'User-Agent': 'RaiderPortal/1.0 (https://raiderportal.vercel.app)',
+      },
+    });
+    // Read the body regardless of status so we can forward error bodies too
+    try {
+      return { status: response.status, body: await response.json() };
+    } catch (parseErr) {
+      if (controller.signal.aborted) throw parseErr;
+      const err  = new Error(`${upstream} returned a non-JSON response.`);
+      err.code   = 'invalid_upstream_response';
+      err.status = response.status;
+      throw err;
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      const timeoutErr = new Error(`${upstream} did not respond within ${timeoutMs} ms.`);
+      timeoutErr.code = 'upstream_timeout';
+      throw timeoutErr;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isRetryable(errOrResult) {
+  if (errOrResult instanceof Error) {
+    // Non-JSON bodies are only worth retrying when they came with a 5xx
+    if (errOrResult.code === 'invalid_upstream_response') return errOrResult.status >= 500;
+    return true; // network error or timeout
+  }
+  return errOrResult.status >= 500;
+}
+
+/**
+ * GETs `url` and parses its JSON body, with timeout, retries and the
+ * upstream's circuit breaker applied.
+ *
+ * Resolves with `{ status, body }` for any JSON response — including 4xx,
+ * and 5xx once retries are exhausted — so handlers can forward it. Rejects
+ * with CircuitOpenError (code 'circuit_open') when failing fast, or with the
+ * last network / timeout / invalid-JSON error.
+ *
+ * @param {string} url
+ * @param {{ upstream: string }} opts  upstream — breaker key and log label, e.g. 'MetaForge'
+ * @returns {Promise<{ status: number, body: * }>}
+ */
+async function fetchUpstreamJson(url, { upstream }) {
+  admit(upstream);
+
+  const deadline = Date.now() + BUDGET_MS;
+  let last;
+
+  for (let i = 0; i <= RETRIES; i++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+
+    try {
+      last = await attempt(url, upstream, Math.min(TIMEOUT_MS, remaining));
+    } catch (err) {
+      last = err;
+    }
+
+    if (!isRetryable(last)) break;
+    if (i < RETRIES) {
+      const delay = backoffMs(i);
+      if (Date.now() + delay >= deadline) break;
+      console.warn(`[upstream] ${upstream} attempt ${i + 1} failed (${last.message ?? `HTTP ${last.status}`}) — retrying in ${Math.round(delay)} ms.`);
+      await sleep(delay);
+    }
+  }
+
+  if (last instanceof Error || last === undefined || last.status >= 500) {
+    recordFailure(upstream);
+  } else {
+    recordSuccess(upstream);
+  }
+
+  if (last === undefined) {
+    const err = new Error(`${upstream} request budget of ${BUDGET_MS} ms exhausted.`);
+    err.code = 'upstream_timeout';
+    throw err;
+  }
+  if (last instanceof Error) throw last;
+  return last;
+}
+
+module.exports = {
+  CircuitOpenError,
+  fetchUpstreamJson,
+  retryAfterSeconds,
+  breakerStatus,
+};
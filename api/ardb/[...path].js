@@ -7,6 +7,20 @@
  * and streams the JSON response back to the caller with CORS headers set,
  * so browser clients on any origin can reach ARDB without CORS errors.
  *
+ * Responses are cached in-process per upstream URL (see api/_lib/responseCache.js)
+ * with a TTL per endpoint. Expired entries are served stale while a background
+ * refresh runs, and conditional requests (If-None-Match) are answered with 304.
+ *
+ * Upstream calls time out, retry 5xx/network failures with jittered backoff,
+ * and fail fast with 503 + Retry-After while the upstream's circuit breaker
+ * is open (see api/_lib/upstream.js).
+ *
+ * With PROXY_FIXTURES=1 the captured payloads in src/data/sampleResponses
+ * are served instead of calling upstream (see api/_lib/fixtures.js).
+ *
+ * Only the routes declared in ROUTES are forwarded; anything else gets a
+ * structured 404/400 error.
+ *
  * Example:
  *   GET /api/ardb/items
  *   → https://ardb.app/api/items
@@ -15,13 +29,30 @@
  *   → https://ardb.app/api/items/adrenaline_shot
  */
 
+const { getOrFetch, isNotModified, cacheControlFor } = require('../_lib/responseCache');
+const { fixturesEnabled, ardbFixture } = require('../_lib/fixtures');
+const { fetchUpstreamJson, retryAfterSeconds } = require('../_lib/upstream');
+const { matchRoute, validateQuery, unknownRouteBody } = require('../_lib/routes');
+
 const UPSTREAM_BASE = 'https://ardb.app/api';
 
+/**
+ * Upstream routes this proxy will forward. None of them take query
+ * parameters. TTLs mirror the cache lifetimes in src/services/ardbApi.js.
+ */
+const ROUTES = [
+  { path: 'items',           query: {}, ttl: 30 * 60 * 1000 }, // 30 min
+  { path: 'items/:id',       query: {}, ttl: 30 * 60 * 1000 }, // 30 min
+  { path: 'arc-enemies',     query: {}, ttl: 60 * 60 * 1000 }, //  1 hour
+  { path: 'arc-enemies/:id', query: {}, ttl: 60 * 60 * 1000 }, //  1 hour
+];
+
 module.exports = async function handler(req, res) {
   // ── CORS — allow any origin (public read-only data proxy) ─────────────
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Cache, Retry-After');
 
   // Preflight — browsers send OPTIONS before cross-origin GETs
   if (req.method === 'OPTIONS') {
@@ -45,51 +76,76 @@ module.exports = async function handler(req, res) {
     upstreamPath = urlPath.replace(/^\/api\/ardb\/?/, '');
   }
 
-  // Forward all query params except the internal 'path' routing key
+  // ── Allowlist: route + query keys ───────────────────────────────────────
+  upstreamPath = String(upstreamPath).replace(/^\/+|\/+$/g, '');
+  const match  = matchRoute(ROUTES, upstreamPath);
+  if (!match) {
+    return res.status(404).json(unknownRouteBody('ARDB', ROUTES, upstreamPath));
+  }
+  const queryError = validateQuery(match.route, req.query);
+  if (queryError) {
+    return res.status(400).json(queryError);
+  }
+
+  // ── Offline fixture mode (PROXY_FIXTURES=1) — never touches the network ─
+  if (fixturesEnabled()) {
+    const fixture = ardbFixture(match.route.path, match.params);
+    res.setHeader('X-Fixture', '1');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(fixture.status).json(fixture.body);
+  }
+
+  // Forward the validated query params except the internal 'path' routing key.
+  // Sorted so equivalent queries share one cache entry.
   const params = new URLSearchParams();
   for (const [key, value] of Object.entries(req.query)) {
-    if (key === 'path') continue;
-    if (Array.isArray(value)) {
-      value.forEach((v) => params.append(key, v));
-    } else {
-      params.set(key, value);
-    }
+    if (key === 'path') continue; // injected by Vercel routing, not a real param
+    params.set(key, value);
   }
+  params.sort();
 
   const qs          = params.toString();
   const upstreamUrl = `${UPSTREAM_BASE}/${upstreamPath}${qs ? `?${qs}` : ''}`;
 
-  // ── Proxy the request ──────────────────────────────────────────────────
-  let upstream;
+  // ── Proxy the request (through the per-URL cache) ───────────────────────
+  let result;
   try {
-    upstream = await fetch(upstreamUrl, {
-      method:  'GET',
-      headers: {
-        Accept:       'application/json',
-        'User-Agent': 'RaiderPortal/1.0 (https://raiderportal.vercel.app)',
-      },
-    });
-  } catch (networkErr) {
-    console.error('[proxy] Network error reaching ARDB:', networkErr);
-    return res.status(502).json({
+    result = await getOrFetch(upstreamUrl, match.route.ttl, () =>
+      fetchUpstreamJson(upstreamUrl, { upstream: 'ARDB' })
+    );
+  } catch (err) {
+    if (err.code === 'invalid_upstream_response') {
+      return res.status(err.status).json({
+        error:   'invalid_upstream_response',
+        message: err.message,
+        status:  err.status,
+        url:     upstreamUrl,
+      });
+    }
+    // Timed out, unreachable after retries, or circuit open — tell the
+    // client when it's worth trying again.
+    console.error('[proxy] Network error reaching ARDB:', err);
+    res.setHeader('Retry-After', String(retryAfterSeconds('ARDB')));
+    return res.status(err.code === 'circuit_open' ? 503 : 502).json({
       error:   'upstream_unreachable',
-      message: `Could not reach ARDB: ${networkErr.message}`,
+      message: `Could not reach ARDB: ${err.message}`,
       url:     upstreamUrl,
     });
   }
 
-  let body;
-  try {
-    body = await upstream.json();
-  } catch {
-    return res.status(upstream.status).json({
-      error:   'invalid_upstream_response',
-      message: 'ARDB returned a non-JSON response.',
-      status:  upstream.status,
-      url:     upstreamUrl,
-    });
+  const { entry, cacheStatus } = result;
+  res.setHeader('X-Cache', cacheStatus);
+
+  if (entry.status >= 200 && entry.status < 300) {
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('Cache-Control', cacheControlFor(entry));
+    if (isNotModified(req, entry)) {
+      return res.status(304).end();
+    }
+  } else {
+    res.setHeader('Cache-Control', 'no-store');
   }
 
   res.setHeader('Content-Type', 'application/json');
-  return res.status(upstream.status).json(body);
+  return res.status(entry.status).json(entry.body);
 };
@@ -0,0 +1,225 @@
+/**
+ * api/health.js
+ *
+ * Upstream health report — tells a blank page caused by our code apart from
+ * MetaForge or ARDB being down or having changed shape.
+ *
+ *   GET /api/health
+ *   → {
+ *       status:    "ok" | "degraded" | "down",
+ *       checkedAt: "2026-…Z",
+ *       fixtures:  false,                        // true when PROXY_FIXTURES=1
+ *       breakers:  { MetaForge: { state, failures, retryAfterSec }, ARDB: {…} },
+ *       probes: [{
+ *         id:         "metaforge.items",
+ *         upstream:   "MetaForge",
+ *         path:       "/items?page=1&limit=5",
+ *         ok:         true,
+ *         httpStatus: 200,
+ *         latencyMs:  183,
+ *         records:    527,                      // pagination.total, or payload length
+ *         shape:      { ok: true, checked: 5, missing: [] },
+ *         error:      null,
+ *       }, …]
+ *     }
+ *
+ * Every endpoint the client services call is probed once, in parallel,
+ * bypassing the per-URL response cache so latency and status are live.
+ * Detail routes (ARDB items/:id, arc-enemies/:id) are probed with a fixed,
+ * long-lived id that also has a fixture in src/data/sampleResponses. The
+ * shape check samples the first records and verifies the fields the client
+ * normalizers read (normalizeItems / normalizeArcs / normalizeQuests in
+ * src/services/searchIndex.js, plus the trader, event and ARDB consumers).
+ *
+ * HTTP status is 200 unless every probe failed (503), so uptime monitors
+ * can alert on it directly.
+ */
+
+const { fetchUpstreamJson, breakerStatus } = require('./_lib/upstream');
+const { fixturesEnabled, metaforgeFixture, ardbFixture } = require('./_lib/fixtures');
+
+const METAFORGE_BASE = 'https://metaforge.app/api/arc-raiders';
+const ARDB_BASE      = 'https://ardb.app/api';
+
+/** Records sampled per probe for the shape check. */
+const SAMPLE_SIZE = 5;
+
+/**
+ * One probe per upstream endpoint the client services use. `fields` lists
+ * the keys every sampled record must carry. Detail probes declare the route
+ * with its `params` (substituted into the URL, passed as-is to the fixture
+ * lookup) and set `single` — the payload is one bare record, not a list.
+ */
+const PROBES = [
+  {
+    id: 'metaforge.items', upstream: 'MetaForge', path: 'items',
+    query:  { page: '1', limit: String(SAMPLE_SIZE) },
+    fields: ['id', 'name', 'item_type', 'rarity', 'icon'],
+  },
+  {
+    id: 'metaforge.arcs', upstream: 'MetaForge', path: 'arcs',
+    query:  { includeLoot: 'true', page: '1', limit: String(SAMPLE_SIZE) },
+    fields: ['id', 'name', 'icon'],
+  },
+  {
+    id: 'metaforge.quests', upstream: 'MetaForge', path: 'quests',
+    query:  { page: '1', limit: String(SAMPLE_SIZE) },
+    fields: ['id', 'name', 'trader_name'],
+  },
+  {
+    id: 'metaforge.traders', upstream: 'MetaForge', path: 'traders',
+    fields: ['id', 'name', 'trader_price'],
+  },
+  {
+    id: 'metaforge.eventsSchedule', upstream: 'MetaForge', path: 'events-schedule',
+    fields: ['name', 'map', 'startTime', 'endTime'],
+  },
+  {
+    id: 'ardb.items', upstream: 'ARDB', path: 'items',
+    fields: ['id', 'name', 'rarity', 'type'],
+  },
+  {
+    id: 'ardb.enemies', upstream: 'ARDB', path: 'arc-enemies',
+    fields: ['id', 'name'],
+  },
+  {
+    id: 'ardb.itemDetail', upstream: 'ARDB', path: 'items/:id',
+    params: { id: 'arc_alloy' }, single: true,
+    fields: ['id', 'name', 'rarity', 'type'],
+  },
+  {
+    id: 'ardb.enemyDetail', upstream: 'ARDB', path: 'arc-enemies/:id',
+    params: { id: 'tick' }, single: true,
+    fields: ['id', 'name'],
+  },
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SHAPE CHECKS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pulls the record array out of a payload: MetaForge `{ data: [] }`, the
+ * traders `{ data: { Name: [] } }` map (flattened), a bare ARDB array, or —
+ * for `single` probes — the one ARDB detail object.
+ *
+ * @returns {object[]|null}  null when the payload has none of those shapes
+ */
+function recordsOf(probe, body) {
+  if (probe.single) return body && typeof body === 'object' && !Array.isArray(body) ? [body] : null;
+  if (Array.isArray(body)) return body;
+  const data = body?.data;
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const lists = Object.values(data);
+    if (lists.every(Array.isArray)) return lists.flat();
+  }
+  return null;
+}
+
+/**
+ * Verifies the sampled records carry every expected field.
+ *
+ * @returns {{ ok: boolean, checked: number, missing: string[] }}
+ */
+function checkShape(probe, records) {
+  if (!records) return { ok: false, checked: 0, missing: ['<record array>'] };
+  const sample  = records.slice(0, SAMPLE_SIZE);
+  const missing = probe.fields.filter((field) =>
+    sample.some((rec) => !rec || typeof rec !== 'object' || !(field in rec))
+  );
+  return { ok: sample.length > 0 && missing.length === 0, checked: sample.length, missing };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROBES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Upstream URL plus the path shown in the report, e.g. '/items?page=1&limit=5'. */
+function probeTarget(probe) {
+  const base  = probe.upstream === 'ARDB' ? ARDB_BASE : METAFORGE_BASE;
+  const route = probe.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(probe.params[name]));
+  const qs    = new URLSearchParams(probe.query ?? {}).toString();
+  const path  = `/${route}${qs ? `?${qs}` : ''}`;
+  return { url: base + path, path };
+}
+
+async function runProbe(probe) {
+  const { url, path } = probeTarget(probe);
+  const report = {
+    id:         probe.id,
+    upstream:   probe.upstream,
+    path,
+    ok:         false,
+    httpStatus: null,
+    latencyMs:  null,
+    records:    null,
+    shape:      null,
+    error:      null,
+  };
+
+  const started = Date.now();
+  let result;
+  try {
+    result = fixturesEnabled()
+      ? (probe.upstream === 'ARDB'
+          ? ardbFixture(probe.path, probe.params ?? {})
+          : metaforgeFixture(`arc-raiders/${probe.path}`, probe.query ?? {}))
+      : await fetchUpstreamJson(url, { upstream: probe.upstream });
+  } catch (err) {
+    report.latencyMs = Date.now() - started;
+    report.error     = err.message;
+    return report;
+  }
+  report.latencyMs  = Date.now() - started;
+  report.httpStatus = result.status;
+
+  if (result.status < 200 || result.status >= 300) {
+    report.error = result.body?.message ?? `HTTP ${result.status}`;
+    return report;
+  }
+
+  const records  = recordsOf(probe, result.body);
+  report.records = result.body?.pagination?.total ?? records?.length ?? null;
+  report.shape   = checkShape(probe, records);
+  report.ok      = report.shape.ok;
+  if (!report.shape.ok) {
+    report.error = `Payload shape changed — missing: ${report.shape.missing.join(', ') || 'records'}`;
+  }
+  return report;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HANDLER
+// ─────────────────────────────────────────────────────────────────────────────
+
+module.exports = async function handler(req, res) {
+  // ── CORS — allow any origin (public read-only data) ───────────────────
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const probes = await Promise.all(PROBES.map(runProbe));
+  const okCount = probes.filter((p) => p.ok).length;
+  const status  = okCount === probes.length ? 'ok' : okCount === 0 ? 'down' : 'degraded';
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status === 'down' ? 503 : 200).json({
+    status,
+    checkedAt: new Date().toISOString(),
+    fixtures:  fixturesEnabled(),
+    breakers: {
+      MetaForge: breakerStatus('MetaForge'),
+      ARDB:      breakerStatus('ARDB'),
+    },
+    probes,
+  });
+};
@@ -0,0 +1,208 @@
+/**
+ * api/snapshot.js
+ *
+ * Aggregated snapshot of every dataset the portal needs on first load, in
+ * one versioned, compressed JSON bundle:
+ *
+ *   GET /api/snapshot
+ *   → {
+ *       version:     1,
+ *       generatedAt: "2026-…Z",
+ *       hash:        "<sha256 of datasets>",
+ *       ttl:         { items: 900000, … },      // client cache lifetimes (ms)
+ *       datasets: {
+ *         items:          [...],                // all pages merged
+ *         arcs:           [...],                // includeLoot=true, all pages
+ *         quests:         [...],                // all pages
+ *         traders:        { Apollo: [...], … },
+ *         eventsSchedule: [...],
+ *         ardbItems:      [...],                // ARDB /items list
+ *       },
+ *       errors: [{ dataset, message }]          // datasets that could not be fetched
+ *     }
+ *
+ * Dataset keys match the client cache keys in src/services/metaforgeApi.js
+ * (plus ardbItems), so src/services/snapshotApi.js can hydrate every cache
+ * from this single response instead of 5+ parallel requests and a
+ * page-by-page /items loop.
+ *
+ * Each upstream URL goes through the same per-URL cache, retry/timeout and
+ * circuit-breaker helpers as the proxies, and honours PROXY_FIXTURES=1.
+ * The body is gzip-compressed when the client accepts it; `hash` doubles as
+ * the ETag, so unchanged bundles revalidate with a 304.
+ */
+
+const crypto = require('crypto');
+const zlib   = require('zlib');
+
+const { getOrFetch } = require('./_lib/responseCache');
+const { fetchUpstreamJson, retryAfterSeconds } = require('./_lib/upstream');
+const { fixturesEnabled, metaforgeFixture, ardbFixture } = require('./_lib/fixtures');
+
+const SNAPSHOT_VERSION = 1;
+
+const METAFORGE_BASE = 'https://metaforge.app/api/arc-raiders';
+const ARDB_BASE      = 'https://ardb.app/api';
+
+/** Page size used for paginated MetaForge endpoints (the API maximum). */
+const PAGE_LIMIT = 100;
+
+/** Concurrent page requests per paginated dataset. */
+const PAGE_CONCURRENCY = 4;
+
+/**
+ * Datasets in the bundle. `ttl` mirrors the client TTL table in
+ * src/services/metaforgeApi.js (and LIST_CACHE_TTL in ardbApi.js).
+ */
+const DATASETS = {
+  items:          { upstream: 'MetaForge', path: 'items',           paginated: true, ttl: 15 * 60 * 1000 },
+  arcs:           { upstream: 'MetaForge', path: 'arcs',            paginated: true, ttl: 30 * 60 * 1000, query: { includeLoot: 'true' } },
+  quests:         { upstream: 'MetaForge', path: 'quests',          paginated: true, ttl: 30 * 60 * 1000 },
+  traders:        { upstream: 'MetaForge', path: 'traders',                          ttl: 10 * 60 * 1000 },
+  eventsSchedule: { upstream: 'MetaForge', path: 'events-schedule',                  ttl:  5 * 60 * 1000 },
+  ardbItems:      { upstream: 'ARDB',      path: 'items',                            ttl: 30 * 60 * 1000 },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UPSTREAM HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Fetches one upstream JSON document — from fixtures, the per-URL cache, or
+ * the network — and rejects on any non-2xx result.
+ */
+async function getJson(spec, query = {}) {
+  if (fixturesEnabled()) {
+    const fixture = spec.upstream === 'ARDB'
+      ? ardbFixture(spec.path, {})
+      : metaforgeFixture(`arc-raiders/${spec.path}`, query);
+    if (fixture.status !== 200) throw new Error(fixture.body.message);
+    return fixture.body;
+  }
+
+  const base   = spec.upstream === 'ARDB' ? ARDB_BASE : METAFORGE_BASE;
+  const params = new URLSearchParams(query);
+  params.sort(); // same key order as the proxies, so cache entries are shared per instance
+  const qs  = params.toString();
+  const url = `${base}/${spec.path}${qs ? `?${qs}` : ''}`;
+
+  const { entry } = await getOrFetch(url, spec.ttl, () =>
+    fetchUpstreamJson(url, { upstream: spec.upstream })
+  );
+  if (entry.status < 200 || entry.status >= 300) {
+    throw new Error(`${spec.upstream} /${spec.path} returned HTTP ${entry.status}`);
+  }
+  return entry.body;
+}
+
+/** Fetches every page of a paginated MetaForge endpoint and merges `data` in page order. */
+async function getAllPages(spec) {
+  const query = (page) => ({ ...spec.query, page: String(page), limit: String(PAGE_LIMIT) });
+
+  const first      = await getJson(spec, query(1));
+  const totalPages = first.pagination?.totalPages ?? 1;
+  const pages      = [first.data ?? []];
+
+  // Pages 2..N with bounded concurrency
+  let next = 2;
+  async function worker() {
+    while (next <= totalPages) {
+      const page = next++;
+      const raw  = await getJson(spec, query(page));
+      pages[page - 1] = raw.data ?? [];
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(PAGE_CONCURRENCY, totalPages - 1) }, worker));
+
+  return pages.flat();
+}
+
+/** Fetches one dataset and unwraps it to the shape the client caches store. */
+async function getDataset(spec) {
+  if (spec.paginated) return getAllPages(spec);
+  const raw = await getJson(spec, spec.query);
+  if (spec.upstream === 'ARDB') return Array.isArray(raw) ? raw : [];
+  if (spec.path === 'traders') {
+    return (raw && typeof raw.data === 'object' && !Array.isArray(raw.data)) ? raw.data : (raw?.data ?? {});
+  }
+  return raw?.data ?? [];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HANDLER
+// ─────────────────────────────────────────────────────────────────────────────
+
+module.exports = async function handler(req, res) {
+  // ── CORS — allow any origin (public read-only data) ───────────────────
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // ── Gather every dataset in parallel ─────────────────────────────────
+  const keys    = Object.keys(DATASETS);
+  const results = await Promise.allSettled(keys.map((key) => getDataset(DATASETS[key])));
+
+  const datasets = {};
+  const errors   = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      datasets[keys[i]] = result.value;
+    } else {
+      console.error(`[snapshot] ${keys[i]} failed:`, result.reason);
+      errors.push({ dataset: keys[i], message: result.reason?.message ?? String(result.reason) });
+    }
+  });
+
+  if (!Object.keys(datasets).length) {
+    res.setHeader('Retry-After', String(retryAfterSeconds('MetaForge')));
+    return res.status(502).json({
+      error:   'upstream_unreachable',
+      message: 'Could not build a snapshot — every upstream dataset failed.',
+      errors,
+    });
+  }
+
+  // ── Version + content hash ────────────────────────────────────────────
+  const hash = crypto.createHash('sha256').update(JSON.stringify(datasets)).digest('hex');
+  const etag = `"${hash}"`;
+
+  // Partial bundles must not be reused once the failing upstream recovers
+  res.setHeader('Cache-Control', errors.length
+    ? 'no-store'
+    : 'public, max-age=0, s-maxage=60, stale-while-revalidate=300');
+  res.setHeader('ETag', etag);
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  const ifNoneMatch = req.headers?.['if-none-match'];
+  if (!errors.length && ifNoneMatch && ifNoneMatch.split(',').some((t) => t.trim().replace(/^W\//, '') === etag)) {
+    return res.status(304).end();
+  }
+
+  const ttl = Object.fromEntries(Object.entries(DATASETS).map(([key, spec]) => [key, spec.ttl]));
+  const json = JSON.stringify({
+    version:     SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    hash,
+    ttl,
+    datasets,
+    errors,
+  });
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  // ── Compress when the client accepts gzip ────────────────────────────
+  if (/\bgzip\b/.test(req.headers?.['accept-encoding'] ?? '')) {
+    res.setHeader('Content-Encoding', 'gzip');
+    return res.status(200).end(zlib.gzipSync(json));
+  }
+  return res.status(200).end(json);
+};
@@ -1,14 +1,25 @@
 /**
  * arcPage.js
  *
- * Renders the detail page for a single ARC enemy.
- * The MetaForge API does not expose per-ARC loot tables, so loot data is
- * derived by cross-referencing items whose loot_area includes "ARC".
- * This gives a general list of ARC-enemy drops shared across all ARC types.
+ * Renders the detail page for a single ARC enemy, merging both sources:
+ *   • MetaForge — name, description, images and `arc.loot` (includeLoot=true)
+ *   • ARDB      — the matching arc-enemy's dropTable, relatedMaps and
+ *                 spawn markers (resolved via buildEnemyCrossRef())
+ *
+ * Drops from both sources are deduplicated through the item cross-reference,
+ * so an item listed by MetaForge and ARDB appears once with both badges.
  */
 
-import { fetchArcs } from '../services/metaforgeApi.js';
+import { fetchArcs, fetchItems } from '../services/metaforgeApi.js';
 import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
+import {
+  buildArdbCrossRef,
+  buildEnemyCrossRef,
+  lookupArdbEnemy,
+  fetchArdbEnemy,
+  ardbImg,
+} from '../services/ardbApi.js';
+import { RARITIES } from '../services/models.js';
 
 // ─── Utilities ────────────────────────────────────────────────
 
@@ -27,42 +38,154 @@ function rarityClass(rarity) {
   return 'rarity-' + (rarity ?? 'common').toLowerCase().replace(/\s+/g, '-');
 }
 
-// ─── Loot table from arc.loot (requires includeLoot=true fetch) ─────────────
+// ─── Drop table (MetaForge arc.loot + ARDB dropTable) ──────────
+
+/**
+ * Merges MetaForge loot and the ARDB drop table into one list. ARDB drops are
+ * keyed to MetaForge items through the item cross-reference; drops with no
+ * MetaForge counterpart keep their ARDB data and are not linked.
+ *
+ * @returns {Array<{ name, icon, rarity, type, value, foundIn: string[], mfId: string|null, sources: string[] }>}
+ */
+function mergeDropTable(mfLoot, ardbDrops, itemRef, mfItemsById) {
+  const rows = new Map();
+
+  for (const { item } of mfLoot ?? []) {
+    if (!item?.id || rows.has(item.id)) continue;
+    rows.set(item.id, {
+      name:    item.name,
+      icon:    item.icon,
+      rarity:  item.rarity,
+      type:    item.item_type,
+      value:   mfItemsById.get(item.id)?.value ?? null,
+      foundIn: [],
+      mfId:    item.id,
+      sources: ['MetaForge'],
+    });
+  }
+
+  for (const drop of ardbDrops ?? []) {
+    const mfIds  = itemRef?.byArdbId.get(drop.id) ?? [];
+    const mfId   = mfIds.find(id => rows.has(id)) ?? mfIds[0] ?? null;
+    const key    = mfId ?? `ardb:${drop.id}`;
+    const row    = rows.get(key);
+    if (row) {
+      row.value ??= drop.value ?? null;
+      row.foundIn = drop.foundIn ?? row.foundIn;
+      if (!row.sources.includes('ARDB')) row.sources.push('ARDB');
+      continue;
+    }
+    const mfItem = mfId ? mfItemsById.get(mfId) : null;
+    rows.set(key, {
+      name:    mfItem?.name ?? drop.name,
+      icon:    mfItem?.icon ?? ardbImg(drop.icon),
+      rarity:  mfItem?.rarity ?? drop.rarity,
+      type:    mfItem?.item_type ?? drop.type,
+      value:   drop.value ?? mfItem?.value ?? null,
+      foundIn: drop.foundIn ?? [],
+      mfId,
+      sources: ['ARDB'],
+    });
+  }
+
+  // Rarest first, then A→Z
+  return [...rows.values()].sort((a, b) =>
+    RARITIES.indexOf(b.rarity) - RARITIES.indexOf(a.rarity) || String(a.name).localeCompare(String(b.name))
+  );
+}
 
-function buildLootTable(loot) {
-  if (!loot?.length) {
+function buildDropTable(drops) {
+  if (!drops.length) {
     return `<p class="empty-note">No loot data available for this ARC.</p>`;
   }
 
-  const rows = loot.map(({ item }) => {
-    if (!item) return '';
-    const rc       = rarityClass(item.rarity);
-    const iconHtml = item.icon
-      ? `<img class="er-icon" src="${esc(item.icon)}" alt="" loading="lazy"
+  const rows = drops.map((drop) => {
+    const rc       = rarityClass(drop.rarity);
+    const iconHtml = drop.icon
+      ? `<img class="er-icon" src="${esc(drop.icon)}" alt="" loading="lazy"
               onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
          <div class="er-icon-ph" style="display:none">📦</div>`
       : `<div class="er-icon-ph">📦</div>`;
+    const foundIn = drop.foundIn.length
+      ? ` · found in ${drop.foundIn.map(esc).join(', ')}`
+      : '';
+    const badges = drop.sources
+      .map(src => `<span class="er-badge drop-source drop-source--${src === 'ARDB' ? 'ardb' : 'mf'}">${esc(src)}</span>`)
+      .join('');
 
     return `
       <div class="entity-row">
         ${iconHtml}
         <div class="er-info">
-          <div class="er-name">${itemLink(item.id, item.name)}</div>
+          <div class="er-name">${drop.mfId ? itemLink(drop.mfId, drop.name) : esc(drop.name)}</div>
           <div class="er-sub">
-            ${item.rarity ? `<span class="${rc}">${esc(item.rarity)}</span>` : ''}
-            ${item.item_type ? ` · ${esc(item.item_type)}` : ''}
+            ${drop.rarity ? `<span class="${rc}">${esc(drop.rarity)}</span>` : ''}
+            ${drop.type ? ` · ${esc(drop.type)}` : ''}${foundIn}
           </div>
         </div>
+        ${badges}
+        ${drop.value != null ? `<span class="er-price">${drop.value.toLocaleString()}</span>` : ''}
       </div>`;
-  }).filter(Boolean).join('');
+  }).join('');
+
+  return `<div class="entity-list">${rows}</div>`;
+}
+
+// ─── Maps + spawn points (ARDB relatedMaps / markers) ─────────
+
+/**
+ * Counts spawn markers per related map. Marker map ids can name a sub-level
+ * ("stella-montis-l1"), which counts towards the map whose id prefixes it;
+ * markers on no related map ("underground") get a row of their own.
+ *
+ * @returns {Array<{ id: string, name: string, spawns: number, linked: boolean }>}
+ */
+function spawnCountsByMap(detail) {
+  const maps = (detail?.relatedMaps ?? []).map(m => ({ id: m.id, name: m.name ?? m.id, spawns: 0, linked: true }));
+  const extra = new Map();
+
+  for (const marker of detail?.markers ?? []) {
+    const mapId = marker?.mapId;
+    if (!mapId) continue;
+    const map = maps.find(m => mapId === m.id || mapId.startsWith(`${m.id}-`));
+    if (map) {
+      map.spawns++;
+    } else {
+      const row = extra.get(mapId) ?? { id: mapId, name: mapId, spawns: 0, linked: false };
+      row.spawns++;
+      extra.set(mapId, row);
+    }
+  }
+  return [...maps, ...extra.values()];
+}
+
+function buildMapsSection(detail) {
+  const maps = spawnCountsByMap(detail);
+  if (!maps.length) {
+    return `<p class="empty-note">No map data — this ARC may spawn anywhere.</p>`;
+  }
+
+  const rows = maps.map(m => `
+    <div class="entity-row">
+      <div class="er-icon-ph">🗺️</div>
+      <div class="er-info">
+        <div class="er-name">${m.linked ? `<a href="#/map/${encodeURIComponent(m.id)}">${esc(m.name)}</a>` : esc(m.name)}</div>
+        ${m.linked ? '' : `<div class="er-sub">Area not in ARDB's map list</div>`}
+      </div>
+      <span class="er-qty">${m.spawns ? `${m.spawns} spawn point${m.spawns !== 1 ? 's' : ''}` : 'No spawn data'}</span>
+    </div>`).join('');
 
   return `<div class="entity-list">${rows}</div>`;
 }
 
 // ─── Main export ──────────────────────────────────────────────
 
-export async function renderArc(id, container) {
-  const arcs = await fetchArcs();
+export async function renderArc(id, container, { signal } = {}) {
+  const [arcs, enemyRef] = await Promise.all([
+    fetchArcs({ signal }),
+    buildEnemyCrossRef({ signal }).catch(() => null),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallback above swallows AbortErrors
 
   const arc = arcs.find((a) => a.id === id);
   if (!arc) {
@@ -70,6 +193,23 @@ export async function renderArc(id, container) {
     return;
   }
 
+  // ── ARDB enemy detail + item data for the merged drop table ──────
+  const enemy = lookupArdbEnemy(arc, enemyRef);
+  const [detail, itemRef, items] = await Promise.all([
+    enemy
+      ? fetchArdbEnemy(enemy.id, { signal }).catch((err) => {
+          if (!signal?.aborted) console.warn(`[ARDB] Could not load enemy "${enemy.id}":`, err.message);
+          return null;
+        })
+      : null,
+    buildArdbCrossRef({ signal }).catch(() => null),
+    fetchItems({ signal }).catch(() => []),
+  ]);
+  signal?.throwIfAborted();
+
+  const mfItemsById = new Map(items.map(item => [item.id, item]));
+  const drops = mergeDropTable(arc.loot, detail?.dropTable, itemRef, mfItemsById);
+
   document.title = `${arc.name} — RaiderPortal`;
 
   const breadcrumb = `
@@ -107,18 +247,27 @@ export async function renderArc(id, container) {
   const lootSection = `
     <div class="detail-section">
       <div class="section-title">Drops</div>
-      ${buildLootTable(arc.loot)}
+      ${buildDropTable(drops)}
     </div>`;
 
+  const mapsSection = detail ? `
+    <div class="detail-section">
+      <div class="section-title">Maps</div>
+      ${buildMapsSection(detail)}
+    </div>` : '';
+
+  const bannerImage = arc.image || ardbImg(detail?.image);
+
   container.innerHTML = `
     <div class="page-arc">
-      <div class="detail-banner"${arc.image ? ` style="--banner-bg: url('${esc(arc.image)}')"` : ''}>
+      <div class="detail-banner"${bannerImage ? ` style="--banner-bg: url('${esc(bannerImage)}')"` : ''}>
         ${breadcrumb}
         ${hero}
       </div>
       <div class="detail-full">
         ${descriptionSection}
         ${lootSection}
+        ${mapsSection}
       </div>
     </div>`;
 }
@@ -0,0 +1,251 @@
+/**
+ * comparePage.js
+ *
+ * Side-by-side comparison at #/compare/:idA,:idB[,…]. Each segment is a
+ * MetaForge item id ("tempest-iv") or an item base slug ("tempest", which
+ * picks the highest tier).
+ *
+ * Rows: value and weight, every `stat_block` field with a label in itemPage's
+ * STAT_LABELS, and ARDB `weaponSpecs` (magazine, fire rate, armor
+ * penetration, firing mode). The best value of each numeric row is
+ * highlighted when the items differ.
+ *
+ * Items are added from search results and item pages (compareList.js).
+ */
+
+import { fetchItems } from '../services/metaforgeApi.js';
+import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
+import { buildArdbCrossRef, lookupArdbItem, fetchArdbItem } from '../services/ardbApi.js';
+import { setCompareList, compareHref, MAX_COMPARE } from '../services/compareList.js';
+import { STAT_LABELS, LOWER_IS_BETTER } from './itemPage.js';
+
+// ─── Utilities ────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function rarityClass(rarity) {
+  return 'rarity-' + (rarity ?? 'common').toLowerCase().replace(/\s+/g, '-');
+}
+
+function itemHref(item) {
+  return `#/item/${encodeURIComponent(nameToSlug(normalizeBaseName(item.name)))}`;
+}
+
+/** Roman / numeric tier suffix → rank; blueprints and recipes rank lowest. */
+function tierRank(name) {
+  if (/\b(Blueprint|Recipe)\b/i.test(name)) return -1;
+  const roman = name.match(/\s(I{1,3}|IV|V)$/);
+  if (roman) return ['I', 'II', 'III', 'IV', 'V'].indexOf(roman[1]);
+  const num = name.match(/\s(\d+)$/);
+  return num ? Number(num[1]) - 1 : 0;
+}
+
+/** An id segment → MetaForge item: exact id first, then base slug (highest tier). */
+function resolveItem(ref, items) {
+  const exact = items.find((i) => i.id === ref);
+  if (exact) return exact;
+  const group = items.filter((i) => nameToSlug(normalizeBaseName(i.name)) === ref);
+  return group.reduce((best, i) => (!best || tierRank(i.name) > tierRank(best.name) ? i : best), null);
+}
+
+// ─── Row definitions ──────────────────────────────────────────
+
+/** ARDB armorPenetration values, weakest first. */
+const PENETRATION_RANK = ['none', 'very weak', 'weak', 'moderate', 'strong', 'very strong'];
+
+/**
+ * @typedef {Object} CompareRow
+ * @property {string} label
+ * @property {Array<string|number|null>} values  one per column
+ * @property {'high'|'low'|null} better  which end wins; null = not ranked
+ * @property {(v: any) => number} [rank]  numeric rank for non-numeric values
+ */
+
+function generalRows(cols) {
+  return [
+    { label: 'Rarity', values: cols.map((c) => c.item.rarity ?? null), better: null },
+    { label: 'Category', values: cols.map((c) => c.item.item_type ?? null), better: null },
+    { label: 'Value', values: cols.map((c) => c.item.value ?? null), better: 'high' },
+    {
+      label: 'Weight',
+      values: cols.map((c) => c.item.stat_block?.weight ?? c.ardb?.weight ?? null),
+      better: 'low',
+    },
+  ].filter((row) => row.values.some((v) => v != null));
+}
+
+/**
+ * Every labelled stat_block field that is non-zero on at least one item, in
+ * label-table order. A 0 is a real value (as in the tier progression chart);
+ * only missing fields show as "—". Rows that are 0 everywhere are the
+ * stat_block's unused keys and are left out.
+ */
+function statRows(cols) {
+  return Object.entries(STAT_LABELS)
+    .filter(([key]) => key !== 'weight') // shown under General
+    .map(([key, label]) => ({
+      label,
+      values: cols.map((c) => {
+        const v = c.item.stat_block?.[key];
+        return v === '' || v == null ? null : v;
+      }),
+      better: LOWER_IS_BETTER.has(key) ? 'low' : 'high',
+    }))
+    .filter((row) => row.values.some((v) => v != null && v !== 0));
+}
+
+function weaponRows(cols) {
+  const spec = (c) => c.ardb?.weaponSpecs ?? null;
+  if (!cols.some(spec)) return [];
+  return [
+    { label: 'Magazine Size', values: cols.map((c) => spec(c)?.magSize ?? null), better: 'high' },
+    { label: 'Fire Rate', values: cols.map((c) => spec(c)?.stats?.fireRate ?? null), better: 'high' },
+    {
+      label: 'Armor Penetration',
+      values: cols.map((c) => spec(c)?.armorPenetration ?? null),
+      better: 'high',
+      rank: (v) => PENETRATION_RANK.indexOf(String(v).toLowerCase()),
+    },
+    { label: 'Firing Mode', values: cols.map((c) => spec(c)?.firingMode ?? null), better: null },
+    { label: 'Ammo Type', values: cols.map((c) => spec(c)?.ammoType ?? null), better: null },
+  ].filter((row) => row.values.some((v) => v != null));
+}
+
+/** Indexes of the winning cells, or an empty set when nothing differs. */
+function bestIndexes(row) {
+  if (!row.better) return new Set();
+  const scores = row.values.map((v) => {
+    if (v == null) return null;
+    const n = row.rank ? row.rank(v) : v;
+    return typeof n === 'number' && Number.isFinite(n) && n >= 0 ? n : null;
+  });
+  const known = scores.filter((n) => n != null);
+  if (known.length < 2 || known.every((n) => n === known[0])) return new Set();
+  const target = row.better === 'high' ? Math.max(...known) : Math.min(...known);
+  return new Set(scores.flatMap((n, i) => (n === target ? [i] : [])));
+}
+
+// ─── Table builder ────────────────────────────────────────────
+
+function fmt(v) {
+  if (v == null) return '<span class="cmp-none">—</span>';
+  if (typeof v === 'number') return v.toLocaleString();
+  return esc(String(v).replace(/(^|[\s-])\w/g, (c) => c.toUpperCase()));
+}
+
+function groupRows(title, rows, colCount) {
+  if (!rows.length) return '';
+  const body = rows.map((row) => {
+    const best = bestIndexes(row);
+    return `
+      <tr>
+        <th scope="row" class="cmp-label">${esc(row.label)}</th>
+        ${row.values.map((v, i) => `<td class="${best.has(i) ? 'cmp-best' : ''}">${fmt(v)}</td>`).join('')}
+      </tr>`;
+  }).join('');
+  return `
+    <tr class="cmp-group"><th colspan="${colCount + 1}">${esc(title)}</th></tr>
+    ${body}`;
+}
+
+function buildTable(cols) {
+  const ids = cols.map((c) => c.item.id);
+  const head = cols.map(({ item }) => {
+    const rest = ids.filter((id) => id !== item.id);
+    return `
+      <th scope="col" class="cmp-col">
+        ${item.icon
+          ? `<img class="cmp-icon" src="${esc(item.icon)}" alt="" loading="lazy">`
+          : '<div class="cmp-icon cmp-icon-ph">📦</div>'}
+        <a class="cmp-name" href="${esc(itemHref(item))}">${esc(item.name)}</a>
+        ${item.rarity ? `<span class="cmp-rarity ${rarityClass(item.rarity)}">${esc(item.rarity)}</span>` : ''}
+        <a class="cmp-remove" href="${esc(rest.length ? compareHref(rest) : '#/items')}"
+           title="Remove from comparison" aria-label="Remove ${esc(item.name)}">×</a>
+      </th>`;
+  }).join('');
+
+  return `
+    <div class="cmp-scroll">
+      <table class="cmp-table">
+        <thead><tr><th></th>${head}</tr></thead>
+        <tbody>
+          ${groupRows('General', generalRows(cols), cols.length)}
+          ${groupRows('Stats', statRows(cols), cols.length)}
+          ${groupRows('Weapon (ARDB)', weaponRows(cols), cols.length)}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// ─── Main export ──────────────────────────────────────────────
+
+export async function renderCompare(idList, container, { signal } = {}) {
+  const refs = [...new Set(idList.split(',').map((s) => s.trim()).filter(Boolean))];
+
+  const [items, ardbCrossRef] = await Promise.all([
+    fetchItems({ signal }),
+    buildArdbCrossRef({ signal }).catch(() => null),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallback above swallows AbortErrors
+
+  const missing = [];
+  const cols = [];
+  for (const ref of refs) {
+    const item = resolveItem(ref, items);
+    if (!item) missing.push(ref);
+    else if (!cols.some((c) => c.item.id === item.id)) cols.push({ item, ardb: null });
+  }
+
+  // ARDB details for weight fallbacks and weaponSpecs
+  await Promise.allSettled(cols.map(async (col) => {
+    const ardbListItem = lookupArdbItem(col.item, ardbCrossRef);
+    if (!ardbListItem) return;
+    try {
+      col.ardb = await fetchArdbItem(ardbListItem.id, { signal });
+    } catch (err) {
+      if (!signal?.aborted) console.warn(`[ARDB] Could not load detail for "${col.item.name}":`, err.message);
+    }
+  }));
+  signal?.throwIfAborted();
+
+  // The URL is the source of truth — "add to compare" extends what is shown here
+  setCompareList(cols.map((c) => c.item.id));
+
+  document.title = cols.length
+    ? `Compare ${cols.map((c) => c.item.name).join(' vs ')} — RaiderPortal`
+    : 'Compare — RaiderPortal';
+
+  const notes = [];
+  if (missing.length) {
+    notes.push(`Not found: ${missing.map((m) => `<strong>${esc(m)}</strong>`).join(', ')}.`);
+  }
+  if (cols.length < 2) {
+    notes.push('Add at least two items with the ⇄ button on search results or item pages.');
+  } else if (cols.length >= MAX_COMPARE) {
+    notes.push(`Up to ${MAX_COMPARE} items can be compared; adding another drops the oldest.`);
+  }
+
+  container.innerHTML = `
+    <div class="page-item page-compare">
+      <div class="detail-banner">
+        <nav class="detail-breadcrumb" aria-label="Breadcrumb">
+          <a class="bc-link" href="#">Home</a>
+          <span class="bc-sep">›</span>
+          <a class="bc-link" href="#/items">Items</a>
+          <span class="bc-sep">›</span>
+          <span class="bc-current">Compare</span>
+        </nav>
+        <div class="unified-header">
+          <h1 class="unified-title">Compare Items</h1>
+        </div>
+      </div>
+      <div class="detail-full">
+        ${notes.map((n) => `<p class="empty-note">${n}</p>`).join('')}
+        ${cols.length ? buildTable(cols) : ''}
+      </div>
+    </div>`;
+}
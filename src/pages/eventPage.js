@@ -0,0 +1,260 @@
+/**
+ * eventPage.js
+ *
+ * Renders the detail page for one event at #/event/:slug (slug of the event
+ * name, e.g. "night-raid").
+ * Sections: rotation stats (occurrences, per day, typical duration and gap),
+ * per-map rotation, next occurrences from the live schedule, and related
+ * loot — items whose item-overrides.json entry names this event as
+ * `eventExclusive`.
+ *
+ * Stats come from eventHistory.js: the current schedule is merged into the
+ * locally stored history first, so they cover every schedule this browser
+ * has seen, not just the upcoming window.
+ */
+
+import { fetchEventsSchedule, fetchItems } from '../services/metaforgeApi.js';
+import { recordSchedule, computeEventStats } from '../services/eventHistory.js';
+import { loadItemOverrides } from '../services/itemOverrides.js';
+import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
+
+const NEXT_LIMIT = 10;
+
+// ─── Utilities ────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function rarityClass(rarity) {
+  return 'rarity-' + (rarity ?? 'common').toLowerCase().replace(/\s+/g, '-');
+}
+
+function mapLink(mapName) {
+  return `<a href="#/map/${encodeURIComponent(nameToSlug(mapName))}">${esc(mapName)}</a>`;
+}
+
+/** "Tue 14:00" */
+function fmtWhen(ms) {
+  return new Date(ms).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/** "45m", "1h", "2h 30m", "3.5 days" */
+function fmtDuration(ms) {
+  if (ms == null) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes >= 48 * 60) return `${(minutes / 1440).toFixed(1)} days`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m}m`;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+/** "in 3h 10m" / "in 12m" */
+function fmtRelative(ms, now) {
+  return `in ${fmtDuration(Math.max(0, ms - now))}`;
+}
+
+// ─── Section builders ─────────────────────────────────────────
+
+function buildStatsSection(stats, history) {
+  const rows = [
+    ['Occurrences recorded', stats.occurrences.toLocaleString()],
+    ['Per day',              stats.perDay != null ? stats.perDay.toFixed(1) : '—'],
+    ['Typical duration',     fmtDuration(stats.medianDurationMs)],
+    ['Typical gap',          fmtDuration(stats.medianGapMs)],
+    ['Maps',                 String(stats.maps.length)],
+  ].map(([label, val]) => `
+    <div class="stat-row">
+      <span class="stat-name">${esc(label)}</span>
+      <span class="stat-val">${esc(val)}</span>
+    </div>`).join('');
+
+  const since = stats.observedFrom
+    ? `Recorded from ${new Date(stats.observedFrom).toLocaleDateString()} to ${new Date(stats.observedTo).toLocaleDateString()}`
+    : 'No slots recorded yet';
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Rotation Stats</div>
+      <div class="stat-grid">${rows}</div>
+      <p class="ev-note" style="margin-top:10px">
+        ${esc(since)} across ${history.snapshots.toLocaleString()} schedule snapshot${history.snapshots === 1 ? '' : 's'} kept in this browser.
+        "Typical" values are medians; gaps are between consecutive starts.
+      </p>
+    </div>`;
+}
+
+function buildMapsSection(stats, now) {
+  const rows = stats.maps.map((m) => {
+    const parts = [`${m.occurrences} occurrence${m.occurrences === 1 ? '' : 's'}`];
+    if (m.medianGapMs != null) parts.push(`every ~${fmtDuration(m.medianGapMs)}`);
+    if (m.lastStart != null)   parts.push(`last ${fmtWhen(m.lastStart)}`);
+    return `
+      <div class="entity-row">
+        <div class="er-icon-ph">🗺️</div>
+        <div class="er-info">
+          <div class="er-name">${mapLink(m.map)}</div>
+          <div class="er-sub">${esc(parts.join(' · '))}</div>
+        </div>
+        ${m.nextStart != null
+          ? `<span class="ev-countdown ev-countdown--start" title="${esc(fmtWhen(m.nextStart))}">${fmtRelative(m.nextStart, now)}</span>`
+          : ''}
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Maps</div>
+      <div class="entity-list">${rows}</div>
+    </div>`;
+}
+
+function buildNextSection(upcoming, now) {
+  const rows = upcoming.slice(0, NEXT_LIMIT).map((ev) => {
+    const live = ev.startTime <= now;
+    return `
+      <div class="entity-row">
+        <div class="er-info">
+          <div class="er-name">${mapLink(ev.map)}</div>
+          <div class="er-sub">${esc(fmtWhen(ev.startTime))} – ${esc(new Date(ev.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))}</div>
+        </div>
+        <span class="ev-countdown${live ? '' : ' ev-countdown--start'}">
+          ${live ? `live · ends ${fmtRelative(ev.endTime, now)}` : fmtRelative(ev.startTime, now)}
+        </span>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Next Occurrences</div>
+      ${rows
+        ? `<div class="entity-list">${rows}</div>`
+        : '<p class="empty-note">Not in the current schedule.</p>'}
+    </div>`;
+}
+
+/**
+ * Items whose override entry names this event as eventExclusive. Overrides
+ * are keyed by base name, so each entry links to its item group page; the
+ * lowest tier provides the icon and rarity.
+ */
+function buildLootSection(eventName, overrides, items) {
+  const keys = Object.entries(overrides ?? {})
+    .filter(([, o]) => o.eventExclusive?.toLowerCase() === eventName.toLowerCase())
+    .map(([key]) => key);
+  if (!keys.length) return '';
+
+  const rows = keys.map((key) => {
+    const tiers = items
+      .filter((i) => normalizeBaseName(i.name) === key)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const item = tiers[0];
+    const slug = nameToSlug(key);
+    const iconHtml = item?.icon
+      ? `<img class="er-icon" src="${esc(item.icon)}" alt="" loading="lazy"
+              onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+         <div class="er-icon-ph" style="display:none">📦</div>`
+      : `<div class="er-icon-ph">📦</div>`;
+    return `
+      <div class="entity-row">
+        ${iconHtml}
+        <div class="er-info">
+          <div class="er-name">${item ? `<a href="#/item/${encodeURIComponent(slug)}">${esc(key)}</a>` : esc(key)}</div>
+          <div class="er-sub">
+            ${item?.rarity ? `<span class="${rarityClass(item.rarity)}">${esc(item.rarity)}</span>` : ''}
+            ${item?.item_type ? `${item.rarity ? ' · ' : ''}${esc(item.item_type)}` : ''}
+          </div>
+        </div>
+        <span class="er-badge drop-source drop-source--override">Override</span>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Related Loot</div>
+      <p class="ev-note">Items only obtainable through this event, from community overrides.</p>
+      <div class="entity-list">${rows}</div>
+    </div>`;
+}
+
+// ─── Main export ──────────────────────────────────────────────
+
+export async function renderEvent(slug, container, { signal } = {}) {
+  const [schedule, items, overrides] = await Promise.all([
+    fetchEventsSchedule({ signal }),
+    fetchItems({ signal }).catch(() => []),
+    loadItemOverrides(),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallback above swallows AbortErrors
+
+  // Falls back to the current schedule alone if the history can't be stored
+  const history = await recordSchedule(schedule).catch(() => ({ slots: schedule, firstSeen: null, snapshots: 0 }));
+  signal?.throwIfAborted();
+
+  const slots = history.slots.filter((s) => nameToSlug(s.name) === slug);
+  if (!slots.length) {
+    container.innerHTML = `<div class="detail-not-found">Event "<strong>${esc(slug)}</strong>" not found.</div>`;
+    return;
+  }
+
+  const now   = Date.now();
+  const name  = slots[0].name;
+  const icon  = schedule.find((e) => e.name === name && e.icon)?.icon ?? null;
+  const stats = computeEventStats(slots, now);
+  const upcoming = schedule
+    .filter((e) => e.name === name && e.endTime > now)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  document.title = `${name} — RaiderPortal`;
+
+  const breadcrumb = `
+    <nav class="detail-breadcrumb" aria-label="Breadcrumb">
+      <a class="bc-link" href="#">Home</a>
+      <span class="bc-sep">›</span>
+      <a class="bc-link" href="#/events">Events</a>
+      <span class="bc-sep">›</span>
+      <span class="bc-current">${esc(name)}</span>
+    </nav>`;
+
+  const live = upcoming.filter((e) => e.startTime <= now);
+  const sub = live.length
+    ? `Live now on ${live.map((e) => mapLink(e.map)).join(', ')}`
+    : upcoming.length
+      ? `Next on ${mapLink(upcoming[0].map)} ${esc(fmtRelative(upcoming[0].startTime, now))}`
+      : 'Not in the current schedule';
+
+  const hero = `
+    <div class="detail-hero">
+      <div class="hero-icon-wrap">
+        ${icon
+          ? `<img class="hero-icon" src="${esc(icon)}" alt="" loading="eager"
+                  onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+             <div class="hero-icon-placeholder" style="display:none">⚡</div>`
+          : '<div class="hero-icon-placeholder">⚡</div>'}
+      </div>
+      <div class="hero-meta">
+        <div class="hero-badges">
+          <span class="hero-badge event">Event</span>
+        </div>
+        <h1 class="hero-name">${esc(name)}</h1>
+        <div class="hero-sub">${sub}</div>
+      </div>
+    </div>`;
+
+  container.innerHTML = `
+    <div class="page-events">
+      <div class="detail-banner">
+        ${breadcrumb}
+        ${hero}
+      </div>
+      <div class="detail-full">
+        ${buildStatsSection(stats, history)}
+        ${buildMapsSection(stats, now)}
+        ${buildNextSection(upcoming, now)}
+        ${buildLootSection(name, overrides, items)}
+      </div>
+    </div>`;
+}
@@ -0,0 +1,468 @@
+/**
+ * eventsPage.js
+ *
+ * Renders the events schedule at #/events from MetaForge /events-schedule
+ * slots ({ name, map, icon, startTime, endTime }).
+ * Sections: "Live Now" strip with countdowns to each event's end, "Next Up"
+ * list with countdowns to each start, and a timeline grid — one row per map,
+ * one column per hour — covering the next TIMELINE_HOURS hours.
+ *
+ * The page keeps itself current while open: countdowns tick every second,
+ * live/next sections re-render as events start and end, and the schedule is
+ * refetched when its 5-minute cache entry expires. Timers stop when the
+ * router aborts the page's signal.
+ *
+ * A "Reminders & Calendar" section saves notification rules (event and/or
+ * map, N minutes ahead) and exports the filtered schedule as .ics — both
+ * via eventReminders.js.
+ *
+ * Exported: renderEvents(container, { signal })
+ */
+
+import { fetchEventsSchedule, getCacheStatus, onDataChanged } from '../services/metaforgeApi.js';
+import { nameToSlug } from '../services/searchIndex.js';
+import {
+  DEFAULT_LEAD_MINUTES,
+  REMINDERS_CHANGED_EVENT,
+  getReminderRules,
+  addReminderRule,
+  removeReminderRule,
+  matchesRule,
+  notificationPermission,
+  requestNotificationPermission,
+  downloadIcs,
+} from '../services/eventReminders.js';
+
+// ─── Constants ────────────────────────────────────────────────
+
+const TIMELINE_HOURS = 24;
+const NEXT_UP_LIMIT  = 12;
+const HOUR_MS        = 60 * 60 * 1000;
+
+/** Retry delay when a scheduled refresh fails (the old schedule stays up). */
+const REFRESH_RETRY_MS = 60 * 1000;
+/** Floor for the refresh timer so an already-expired entry can't spin. */
+const MIN_REFRESH_MS   = 5 * 1000;
+
+// ─── Utilities ────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function breadcrumb(label) {
+  return `
+    <nav class="detail-breadcrumb" aria-label="Breadcrumb">
+      <a class="bc-link" href="#">Home</a>
+      <span class="bc-sep">›</span>
+      <span class="bc-current">${esc(label)}</span>
+    </nav>`;
+}
+
+/** Event `map` names ("Buried City") → #/map/:id slugs ("buried-city"). */
+function mapHref(mapName) {
+  return `#/map/${encodeURIComponent(nameToSlug(mapName))}`;
+}
+
+function eventHref(name) {
+  return `#/event/${encodeURIComponent(nameToSlug(name))}`;
+}
+
+/** Local wall-clock time, e.g. "14:00". */
+function fmtTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/** "1h 05m", "12m 04s", "9s" */
+function fmtCountdown(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  if (h) return `${h}h ${pad(m)}m`;
+  if (m) return `${m}m ${pad(s % 60)}s`;
+  return `${s}s`;
+}
+
+/** Stable hue per event name so the same event reads the same across rows. */
+function eventHue(name) {
+  let h = 0;
+  for (const ch of name) h = (h * 31 + ch.charCodeAt(0)) % 360;
+  return h;
+}
+
+function eventIcon(ev, cls) {
+  return ev.icon
+    ? `<img class="${cls}" src="${esc(ev.icon)}" alt="" loading="lazy"
+            onerror="this.style.visibility='hidden'">`
+    : `<span class="${cls} ${cls}--ph">⚡</span>`;
+}
+
+// ─── Schedule queries ─────────────────────────────────────────
+
+function liveEvents(events, now) {
+  return events
+    .filter((e) => e.startTime <= now && now < e.endTime)
+    .sort((a, b) => a.endTime - b.endTime || a.map.localeCompare(b.map));
+}
+
+function upcomingEvents(events, now) {
+  return events
+    .filter((e) => e.startTime > now)
+    .sort((a, b) => a.startTime - b.startTime || a.map.localeCompare(b.map));
+}
+
+/** Next moment the live / next-up sections change: an end or a start. */
+function nextBoundary(events, now) {
+  let t = Infinity;
+  for (const e of events) {
+    if (e.startTime > now && e.startTime < t) t = e.startTime;
+    if (e.endTime   > now && e.endTime   < t) t = e.endTime;
+  }
+  return t;
+}
+
+// ─── Section builders ─────────────────────────────────────────
+
+function buildLiveSection(events, now) {
+  const live = liveEvents(events, now);
+  const cards = live.map((ev) => `
+    <div class="ev-live-card" style="--ev-hue:${eventHue(ev.name)}">
+      ${eventIcon(ev, 'ev-live-icon')}
+      <div class="ev-live-info">
+        <a class="ev-live-name" href="${eventHref(ev.name)}">${esc(ev.name)}</a>
+        <a class="ev-map-link" href="${mapHref(ev.map)}">${esc(ev.map)}</a>
+      </div>
+      <div class="ev-countdown" data-until="${ev.endTime}" title="Ends at ${esc(fmtTime(ev.endTime))}">
+        ${fmtCountdown(ev.endTime - now)}
+      </div>
+    </div>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title"><span class="ev-live-dot"></span>Live Now</div>
+      ${cards
+        ? `<div class="ev-live-strip">${cards}</div>`
+        : '<p class="empty-note">No events are running right now.</p>'}
+    </div>`;
+}
+
+function buildNextSection(events, now) {
+  const next = upcomingEvents(events, now).slice(0, NEXT_UP_LIMIT);
+  const rows = next.map((ev) => `
+    <div class="entity-row">
+      ${eventIcon(ev, 'er-icon')}
+      <div class="er-info">
+        <div class="er-name"><a href="${eventHref(ev.name)}">${esc(ev.name)}</a></div>
+        <div class="er-sub">
+          <a href="${mapHref(ev.map)}">${esc(ev.map)}</a>
+          · ${esc(fmtTime(ev.startTime))}–${esc(fmtTime(ev.endTime))}
+        </div>
+      </div>
+      <span class="ev-countdown ev-countdown--start" data-until="${ev.startTime}">
+        in ${fmtCountdown(ev.startTime - now)}
+      </span>
+    </div>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Next Up</div>
+      ${rows
+        ? `<div class="entity-list">${rows}</div>`
+        : '<p class="empty-note">No upcoming events in the current schedule.</p>'}
+    </div>`;
+}
+
+/**
+ * Lays out one row per map over [from, from + TIMELINE_HOURS h). Slots are
+ * positioned by percentage; overlapping slots on the same map (two events
+ * in one hour) are stacked into lanes.
+ */
+function buildTimelineSection(events, now) {
+  const from = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const to   = from + TIMELINE_HOURS * HOUR_MS;
+  const pct  = (t) => ((Math.min(Math.max(t, from), to) - from) / (to - from)) * 100;
+
+  const inWindow = events.filter((e) => e.endTime > from && e.startTime < to);
+  const maps = [...new Set(events.map((e) => e.map))].sort((a, b) => a.localeCompare(b));
+
+  if (!inWindow.length) {
+    const last = Math.max(0, ...events.map((e) => e.endTime));
+    return `
+      <div class="detail-section">
+        <div class="section-title">Schedule</div>
+        <p class="empty-note">
+          No events scheduled in the next ${TIMELINE_HOURS} hours${last ? ` — the current schedule ended ${esc(new Date(last).toLocaleString())}` : ''}.
+        </p>
+      </div>`;
+  }
+
+  const hours = Array.from({ length: TIMELINE_HOURS }, (_, i) => from + i * HOUR_MS);
+  const header = hours.map((h) => `
+    <span class="ev-tl-hour" style="left:${pct(h)}%">${esc(fmtTime(h))}</span>`).join('');
+
+  const rows = maps.map((map) => {
+    const slots = inWindow
+      .filter((e) => e.map === map)
+      .sort((a, b) => a.startTime - b.startTime);
+
+    // Greedy lane assignment — a slot takes the first lane that has ended
+    const laneEnds = [];
+    const blocks = slots.map((ev) => {
+      let lane = laneEnds.findIndex((end) => end <= ev.startTime);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = ev.endTime;
+      const live = ev.startTime <= now && now < ev.endTime;
+      return `
+        <a class="ev-tl-slot${live ? ' ev-tl-slot--live' : ''}${ev.endTime <= now ? ' ev-tl-slot--past' : ''}" href="${eventHref(ev.name)}"
+             style="left:${pct(ev.startTime)}%;width:${pct(ev.endTime) - pct(ev.startTime)}%;--lane:${lane};--ev-hue:${eventHue(ev.name)}"
+             title="${esc(`${ev.name} · ${fmtTime(ev.startTime)}–${fmtTime(ev.endTime)}`)}">
+          ${eventIcon(ev, 'ev-tl-icon')}<span class="ev-tl-name">${esc(ev.name)}</span>
+        </a>`;
+    }).join('');
+
+    return `
+      <div class="ev-tl-row">
+        <a class="ev-tl-map" href="${mapHref(map)}">${esc(map)}</a>
+        <div class="ev-tl-track" style="--lanes:${Math.max(1, laneEnds.length)}">${blocks}</div>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Schedule</div>
+      <p class="ev-note">Next ${TIMELINE_HOURS} hours, in your local time. Refreshes automatically.</p>
+      <div class="ev-timeline-scroll">
+        <div class="ev-timeline">
+          <div class="ev-tl-row ev-tl-row--head">
+            <span class="ev-tl-map"></span>
+            <div class="ev-tl-track ev-tl-hours">${header}</div>
+          </div>
+          ${rows}
+          <div class="ev-tl-now-wrap"><div class="ev-tl-now" style="left:${pct(now)}%"></div></div>
+        </div>
+      </div>
+    </div>`;
+}
+
+// ─── Reminders & calendar ─────────────────────────────────────
+
+const PERMISSION_NOTES = {
+  granted:     'Notifications are on — alerts arrive while a RaiderPortal tab is open.',
+  default:     'Your browser will ask for permission to show notifications when you add a reminder.',
+  denied:      'Notifications are blocked for this site. Allow them in your browser settings to get alerts.',
+  unsupported: 'This browser does not support notifications. Use the calendar export instead.',
+};
+
+function buildRemindersSection(events) {
+  const names = [...new Set(events.map((e) => e.name))].sort((a, b) => a.localeCompare(b));
+  const maps  = [...new Set(events.map((e) => e.map))].sort((a, b) => a.localeCompare(b));
+  const options = (values) => values.map((v) => `<option value="${esc(v)}">${esc(v)}</option>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Reminders &amp; Calendar</div>
+      <div class="ev-remind-form">
+        <label class="ev-field">Event
+          <select class="ev-f-name"><option value="">Any event</option>${options(names)}</select>
+        </label>
+        <label class="ev-field">Map
+          <select class="ev-f-map"><option value="">Any map</option>${options(maps)}</select>
+        </label>
+        <label class="ev-field">Alert
+          <span><input class="ev-f-lead" type="number" min="0" max="240" value="${DEFAULT_LEAD_MINUTES}"> min before</span>
+        </label>
+        <button class="ev-btn ev-remind-btn" type="button">🔔 Remind me</button>
+        <button class="ev-btn ev-ics-btn" type="button">📅 Export .ics</button>
+      </div>
+      <p class="ev-note ev-perm-note"></p>
+      <div class="ev-rules"></div>
+    </div>`;
+}
+
+function describeRule(rule) {
+  const what  = rule.name ?? 'Any event';
+  const where = rule.map ? ` on ${rule.map}` : '';
+  return `${what}${where} · ${rule.leadMinutes} min before`;
+}
+
+function buildRuleChips(rules) {
+  if (!rules.length) return '<p class="empty-note">No reminders yet.</p>';
+  return rules.map((rule) => `
+    <span class="ev-rule">
+      ${esc(describeRule(rule))}
+      <button class="ev-rule-remove" type="button" data-rule="${esc(rule.id)}" aria-label="Remove reminder">×</button>
+    </span>`).join('');
+}
+
+// ─── Main export ──────────────────────────────────────────────
+
+export async function renderEvents(container, { signal } = {}) {
+  let events = await fetchEventsSchedule({ signal });
+  document.title = 'Events — RaiderPortal';
+
+  container.innerHTML = `
+    <div class="page-events">
+      <div class="detail-banner">
+        ${breadcrumb('Events')}
+        <div>
+          <h1 class="unified-title">Events</h1>
+          <p class="hero-sub ev-banner-sub" style="margin-top:6px"></p>
+        </div>
+      </div>
+      <div class="list-body detail-full">
+        <div class="ev-live-slot"></div>
+        <div class="ev-next-slot"></div>
+        <div class="ev-timeline-slot"></div>
+        ${buildRemindersSection(events)}
+      </div>
+    </div>`;
+
+  const liveEl     = container.querySelector('.ev-live-slot');
+  const nextEl     = container.querySelector('.ev-next-slot');
+  const timelineEl = container.querySelector('.ev-timeline-slot');
+  const subEl      = container.querySelector('.ev-banner-sub');
+
+  let boundary = Infinity; // next start/end that changes the live/next sections
+  let hour     = 0;        // hour the timeline window was last drawn from
+
+  function paintSchedule(now = Date.now()) {
+    liveEl.innerHTML = buildLiveSection(events, now);
+    nextEl.innerHTML = buildNextSection(events, now);
+    boundary = nextBoundary(events, now);
+    const live = liveEvents(events, now).length;
+    subEl.textContent = `${live} live now · ${upcomingEvents(events, now).length} upcoming`;
+  }
+
+  function paintTimeline(now = Date.now()) {
+    timelineEl.innerHTML = buildTimelineSection(events, now);
+    hour = Math.floor(now / HOUR_MS);
+  }
+
+  function paintAll() {
+    const now = Date.now();
+    paintSchedule(now);
+    paintTimeline(now);
+  }
+
+  paintAll();
+
+  // ── Ticking countdowns ──────────────────────────────────────
+  const tick = setInterval(() => {
+    const now = Date.now();
+    if (now >= boundary) paintSchedule(now);
+    if (Math.floor(now / HOUR_MS) !== hour) paintTimeline(now);
+
+    for (const el of container.querySelectorAll('.ev-countdown[data-until]')) {
+      const left = fmtCountdown(Number(el.dataset.until) - now);
+      el.textContent = el.classList.contains('ev-countdown--start') ? `in ${left}` : left;
+    }
+    const nowLine = container.querySelector('.ev-tl-now');
+    if (nowLine) {
+      const from = hour * HOUR_MS;
+      nowLine.style.left = `${((now - from) / (TIMELINE_HOURS * HOUR_MS)) * 100}%`;
+    }
+  }, 1000);
+
+  // ── Refetch when the cached schedule expires ────────────────
+  let refreshTimer = null;
+
+  async function scheduleRefresh() {
+    const { expiresInMs } = await getCacheStatus('eventsSchedule');
+    if (signal?.aborted) return;
+    refreshTimer = setTimeout(refresh, Math.max(MIN_REFRESH_MS, expiresInMs ?? 0));
+  }
+
+  async function refresh() {
+    try {
+      events = await fetchEventsSchedule({ signal });
+      paintAll();
+      paintReminders();
+      scheduleRefresh();
+    } catch (err) {
+      if (signal?.aborted) return;
+      console.warn('[events] Schedule refresh failed, retrying:', err.message);
+      refreshTimer = setTimeout(refresh, REFRESH_RETRY_MS);
+    }
+  }
+
+  scheduleRefresh();
+
+  // Snapshot hydration / background revalidation elsewhere in the app
+  const unsubscribe = onDataChanged('eventsSchedule', (fresh) => {
+    events = fresh;
+    paintAll();
+    paintReminders();
+  });
+
+  // ── Reminders & calendar export ─────────────────────────────
+  const nameEl   = container.querySelector('.ev-f-name');
+  const mapEl    = container.querySelector('.ev-f-map');
+  const leadEl   = container.querySelector('.ev-f-lead');
+  const icsBtn   = container.querySelector('.ev-ics-btn');
+  const rulesEl  = container.querySelector('.ev-rules');
+  const permEl   = container.querySelector('.ev-perm-note');
+
+  const currentFilter = () => ({
+    name:        nameEl.value || null,
+    map:         mapEl.value || null,
+    leadMinutes: Number(leadEl.value) || 0,
+  });
+
+  /** Upcoming and live slots matching the form — what the .ics export contains. */
+  const filteredSlots = () => {
+    const now = Date.now();
+    const filter = currentFilter();
+    return events
+      .filter((e) => e.endTime > now && matchesRule(e, filter))
+      .sort((a, b) => a.startTime - b.startTime);
+  };
+
+  function paintReminders() {
+    rulesEl.innerHTML = buildRuleChips(getReminderRules());
+    permEl.textContent = PERMISSION_NOTES[notificationPermission()];
+    const n = filteredSlots().length;
+    icsBtn.textContent = `📅 Export .ics (${n} slot${n === 1 ? '' : 's'})`;
+    icsBtn.disabled = !n;
+  }
+
+  paintReminders();
+  nameEl.addEventListener('change', paintReminders);
+  mapEl.addEventListener('change', paintReminders);
+
+  container.querySelector('.ev-remind-btn').addEventListener('click', async () => {
+    const filter = currentFilter();
+    if (!filter.name && !filter.map) {
+      permEl.textContent = 'Pick an event, a map, or both to set a reminder.';
+      return;
+    }
+    if (notificationPermission() !== 'unsupported') await requestNotificationPermission();
+    addReminderRule(filter);
+  });
+
+  rulesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.ev-rule-remove');
+    if (btn) removeReminderRule(btn.dataset.rule);
+  });
+
+  icsBtn.addEventListener('click', () => {
+    const { name, map, leadMinutes } = currentFilter();
+    const label = [name, map].filter(Boolean).join(' on ') || 'All events';
+    downloadIcs(filteredSlots(), `arc-raiders-${nameToSlug(label)}.ics`, {
+      calendarName: `ARC Raiders — ${label}`,
+      alarmMinutes: leadMinutes,
+    });
+  });
+
+  document.addEventListener(REMINDERS_CHANGED_EVENT, paintReminders);
+
+  function stop() {
+    clearInterval(tick);
+    clearTimeout(refreshTimer);
+    unsubscribe();
+    document.removeEventListener(REMINDERS_CHANGED_EVENT, paintReminders);
+  }
+  signal?.addEventListener('abort', stop, { once: true });
+}
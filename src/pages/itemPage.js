@@ -7,8 +7,16 @@
  *
  * Data is merged from two sources:
  *   • MetaForge API  — primary source (items, traders)
- *   • ARDB API       — supplemental (crafting recipes, recycling, usedInCraft,
- *                      weight, stackSize)
+ *   • ARDB API       — supplemental (crafting recipes and their full
+ *                      sub-recipe trees, recycling, usedInCraft, weight,
+ *                      stackSize, weaponSpecs, compatibleWith, variants)
+ *
+ * The Uses / Sources panel comes from the reverse item graph (itemGraph.js),
+ * which combines both with quests, ARC drops and trader inventories. Mod
+ * pages list the weapons they fit from the compatibility index (compatIndex.js).
+ * The graph, that index and the full crafting trees can each take many
+ * requests on a cold cache, so their sections (and the keep-or-sell verdict)
+ * are painted as placeholders and filled in as each one resolves.
  *
  * Exported: renderItemGroup(slug, container)
  *   slug — URL segment from the router (baseSlug or raw item id as fallback)
@@ -16,23 +24,14 @@
 
 import { fetchItems, fetchTraders } from '../services/metaforgeApi.js';
 import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
-import { buildArdbCrossRef, lookupArdbByName, fetchArdbItem, ardbImg } from '../services/ardbApi.js';
-
-// ─── Item overrides loader ─────────────────────────────────────
-// Loaded via fetch() — static JSON import assertions (assert/with {type:'json'})
-// have inconsistent browser support and would break the entire module on Firefox.
-let _overridesCache = null;
-let _overridesPromise = null;
-
-async function loadItemOverrides() {
-  if (_overridesCache) return _overridesCache;
-  if (_overridesPromise) return _overridesPromise;
-  _overridesPromise = fetch('/src/data/item-overrides.json')
-    .then((r) => r.json())
-    .then((data) => { _overridesCache = data; _overridesPromise = null; return data; })
-    .catch((err) => { console.warn('[itemPage] Could not load item-overrides.json:', err.message); _overridesPromise = null; return {}; });
-  return _overridesPromise;
-}
+import { buildArdbCrossRef, lookupArdbItem, fetchArdbItem, ardbImg } from '../services/ardbApi.js';
+import { loadItemOverrides, overrideFor } from '../services/itemOverrides.js';
+import { getValidLocations } from '../services/mapItemIndex.js';
+import { buildCraftingTree, rawMaterials } from '../services/craftingTree.js';
+import { buildItemGraph, itemLinks } from '../services/itemGraph.js';
+import { adviseItem } from '../services/lootAdvisor.js';
+import { addToCompare, compareHref } from '../services/compareList.js';
+import { buildCompatIndex } from '../services/compatIndex.js';
 
 // ─── Utilities ────────────────────────────────────────────────
 
@@ -57,8 +56,9 @@ function rarityClass(rarity) {
 
 // ─── Stat block — human-readable labels ───────────────────────
 // Only keys listed here are shown; zero / empty / null values are skipped.
+// Also the row list of the compare page (comparePage.js).
 
-const STAT_LABELS = {
+export const STAT_LABELS = {
   // ── Weapon primaries ──────────────────────────────────────
   ammo:                          'Ammo Type',
   firingMode:                    'Firing Mode',
@@ -114,6 +114,13 @@ const STAT_LABELS = {
   damageMult:                    'Damage Multiplier',
 };
 
+// stat_block keys where a smaller number is the better one (compare page,
+// tier progression). Everything else numeric counts as higher-is-better.
+export const LOWER_IS_BETTER = new Set([
+  'weight', 'useTime', 'movementPenalty', 'increasedEquipTime', 'increasedUnequipTime',
+  'increasedVerticalRecoil', 'increasedRecoilRecoveryTime',
+]);
+
 // ─── Tier utilities ────────────────────────────────────────────
 
 /**
@@ -203,28 +210,6 @@ const MAP_LABELS = {
   'stella-montis': 'Stella Montis',
 };
 
-// Map slug → expected item-name prefix (lower-case, with trailing space)
-// Used to discard locations[] entries whose map contradicts the item name.
-const MAP_PREFIXES = [
-  { map: 'dam',           prefix: 'dam ' },
-  { map: 'buried-city',   prefix: 'buried city' },
-  { map: 'blue-gate',     prefix: 'blue gate' },
-  { map: 'spaceport',     prefix: 'spaceport' },
-  { map: 'stella-montis', prefix: 'stella montis' },
-];
-
-/** Return only the locations[] entries that are consistent with the item name. */
-function getValidLocations(item) {
-  if (!Array.isArray(item.locations) || !item.locations.length) return [];
-  const nameLower = item.name.toLowerCase();
-  const matched = MAP_PREFIXES.find(({ prefix }) => nameLower.startsWith(prefix));
-  // If the item name starts with a known map prefix, keep only matching entries.
-  // Otherwise (e.g. "Patrol Car Key") accept all entries.
-  return matched
-    ? item.locations.filter((loc) => loc.map === matched.map)
-    : item.locations;
-}
-
 // ─── Section builders ──────────────────────────────────────────
 
 function buildIconHtml(item) {
@@ -257,6 +242,8 @@ function buildHero(item) {
           Base value: <strong>${(item.value ?? 0).toLocaleString()} Raider Coins</strong>
         </div>
       </div>
+      <button class="hero-compare" type="button" data-compare-id="${esc(item.id)}"
+              title="Add to comparison">⇄ Compare</button>
     </div>`;
 }
 
@@ -299,10 +286,104 @@ function craftIngredientRow(ardbItem, amount) {
 
 // ─── Crafting section ─────────────────────────────────────────
 
+/** { id: 'weapon_bench', tier: 3 } → "Weapon Bench Tier 3" */
+function stationLabel(station) {
+  const name = station.id.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+  return station.tier != null ? `${name} Tier ${station.tier}` : name;
+}
+
+/** Cheapest trader listing for an ARDB ingredient, as a badge. */
+function buyBadge(ardbId, buyOptions) {
+  const best = buyOptions?.(ardbId)[0];
+  if (!best) return '';
+  return `<span class="craft-buy" title="Sold by ${esc(best.name)}">Buy · ${esc(best.name)} ${(best.price ?? 0).toLocaleString()}</span>`;
+}
+
+function craftTreeRow(node, buyOptions) {
+  const iconUrl = ardbImg(node.icon);
+  const notes = [];
+  if (node.recipe?.station) notes.push(esc(stationLabel(node.recipe.station)));
+  if (node.recipe?.outputAmount > 1) notes.push(`${node.recipe.crafts} craft${node.recipe.crafts === 1 ? '' : 's'} of ${node.recipe.outputAmount}`);
+  if (node.cycle)     notes.push('↻ already in this chain');
+  if (node.truncated) notes.push('… not expanded');
+  if (node.error)     notes.push('recipe unavailable');
+  return `
+    <div class="craft-ingredient">
+      ${iconUrl
+        ? `<img class="craft-ing-icon" src="${esc(iconUrl)}" alt="" loading="lazy">`
+        : '<div class="craft-ing-icon-ph"></div>'}
+      ${itemLink(node.id, node.name)}
+      ${notes.length ? `<span class="craft-tree-note">${notes.join(' · ')}</span>` : ''}
+      ${buyBadge(node.id, buyOptions)}
+      <span class="craft-ing-amount">× ${esc(String(node.qty))}</span>
+    </div>`;
+}
+
+function craftTreeNode(node, buyOptions, depth) {
+  if (!node.children.length) return `<div class="craft-tree-leaf">${craftTreeRow(node, buyOptions)}</div>`;
+  return `
+    <details class="craft-tree-node"${depth === 0 ? ' open' : ''}>
+      <summary>${craftTreeRow(node, buyOptions)}</summary>
+      <div class="craft-tree-children">
+        ${node.children.map((c) => craftTreeNode(c, buyOptions, depth + 1)).join('')}
+      </div>
+    </details>`;
+}
+
+/**
+ * Expandable tree of sub-recipes (craftingTree.js). Only shown when at
+ * least one ingredient is itself craftable — otherwise it would repeat
+ * the ingredient list above.
+ */
+function buildCraftTree(tree, buyOptions) {
+  if (!tree.children.some((c) => c.children.length)) return '';
+  return `
+    <div class="craft-subtitle">Full Crafting Tree</div>
+    <div class="craft-tree">
+      ${tree.children.map((c) => craftTreeNode(c, buyOptions, 0)).join('')}
+    </div>`;
+}
+
+/** Flattened raw-material bill with total quantities and base value. */
+function buildRawBill(tree, buyOptions) {
+  const { materials, totalValue } = rawMaterials(tree);
+  if (!materials.length) return '';
+
+  const rows = materials.map((m) => {
+    const iconUrl = ardbImg(m.icon);
+    return `
+      <div class="craft-ingredient">
+        ${iconUrl
+          ? `<img class="craft-ing-icon" src="${esc(iconUrl)}" alt="" loading="lazy">`
+          : '<div class="craft-ing-icon-ph"></div>'}
+        ${itemLink(m.id, m.name)}
+        ${buyBadge(m.id, buyOptions)}
+        <span class="craft-bill-value">${m.unitValue != null ? m.totalValue.toLocaleString() : '—'}</span>
+        <span class="craft-ing-amount">× ${esc(String(m.qty))}</span>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="craft-subtitle">Raw Materials</div>
+    <div class="craft-requirements">${rows}</div>
+    <div class="craft-meta">
+      <span>Total base value: <strong>${totalValue.toLocaleString()}</strong></span>
+      <span>Buy prices are the cheapest trader listing.</span>
+    </div>`;
+}
+
+/** Crafting tree and raw-material bill, or '' when nothing below the recipe is craftable. */
+function buildCraftTreeAndBill(tree, buyOptions) {
+  return tree ? buildCraftTree(tree, buyOptions) + buildRawBill(tree, buyOptions) : '';
+}
+
 /**
  * Builds the crafting section, preferring ARDB data (full recipe with
  * ingredient icons) and falling back to MetaForge workbench name only.
  *
+ * The full crafting tree is resolved after first paint; its slot is
+ * filled by buildCraftTreeAndBill() (see renderItemGroup).
+ *
  * @param {object}      item       MetaForge item
  * @param {object|null} ardbDetail Full ARDB item detail (may be null)
  */
@@ -317,8 +398,7 @@ function buildCrafting(item, ardbDetail) {
 
     const metaParts = [];
     if (cr.station) {
-      const name = cr.station.id.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
-      metaParts.push(`At: <strong>${esc(name)} Tier ${esc(String(cr.station.tier))}</strong>`);
+      metaParts.push(`At: <strong>${esc(stationLabel(cr.station))}</strong>`);
     }
     if (cr.outputAmount && cr.outputAmount > 1) {
       metaParts.push(`Output: <strong>× ${esc(String(cr.outputAmount))}</strong>`);
@@ -332,6 +412,7 @@ function buildCrafting(item, ardbDetail) {
         <div class="section-title">Crafting</div>
         <div class="craft-requirements">${ingredients}</div>
         ${metaParts.length ? `<div class="craft-meta">${metaParts.map((p) => `<span>${p}</span>`).join('')}</div>` : ''}
+        ${cr.requiredItems?.length ? `<div data-deferred="craft-tree" data-item-id="${esc(item.id)}"></div>` : ''}
       </div>`;
   }
 
@@ -383,6 +464,189 @@ function buildUsedInCraft(ardbDetail) {
     </div>`;
 }
 
+// ─── Weapon specs, attachments & variants (ARDB) ──────────────
+
+/** "fully-automatic" → "Fully-Automatic" */
+function titleCase(s) {
+  return String(s).replace(/(^|[\s-])\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Sidebar card for ARDB `weaponSpecs`. Stats the MetaForge Stats section
+ * already shows are left out; ARDB-only ones (magazine, penetration,
+ * bonuses…) are the point of the card.
+ */
+function buildWeaponSpecs(item, ardbDetail) {
+  const spec = ardbDetail?.weaponSpecs;
+  if (!spec) return '';
+
+  const shown = (key) => { const v = item.stat_block?.[key]; return v !== 0 && v !== '' && v != null; };
+  const rows = [];
+  if (spec.ammoType && !item.ammo_type) rows.push(['Ammo Type', titleCase(spec.ammoType)]);
+  if (spec.magSize && !shown('magazineSize')) rows.push(['Magazine Size', spec.magSize]);
+  if (spec.firingMode && !shown('firingMode')) rows.push(['Firing Mode', titleCase(spec.firingMode)]);
+  if (spec.armorPenetration) rows.push(['Armor Penetration', titleCase(spec.armorPenetration)]);
+  for (const [key, val] of Object.entries(spec.stats ?? {})) {
+    if (val != null && !shown(key)) rows.push([STAT_LABELS[key] ?? titleCase(key), val]);
+  }
+  for (const [key, val] of Object.entries(spec.bonuses ?? {})) {
+    if (val != null) rows.push([STAT_LABELS[key] ?? titleCase(key), typeof val === 'number' && val > 0 ? `+${val}` : val]);
+  }
+  if (!rows.length) return '';
+
+  const kv = rows.map(([label, val]) => `
+    <div class="kv-row">
+      <span class="kv-key">${esc(label)}</span>
+      <span class="kv-val">${typeof val === 'number' ? val.toLocaleString() : esc(String(val))}</span>
+    </div>`).join('');
+  return `<div class="info-card"><div class="info-card-title">Weapon Specs</div>${kv}</div>`;
+}
+
+// MetaForge item_type values of weapon mods — their pages need the compatibility index
+const MOD_ITEM_TYPES = new Set(['Modification', 'Mods']);
+
+/** ARDB items grouped by item page (base name), tiers in list order. */
+function groupByBaseName(refs) {
+  const groups = new Map();
+  for (const ref of refs) {
+    if (!ref?.id) continue;
+    const base = normalizeBaseName(ref.name ?? ref.id);
+    const group = groups.get(base) ?? { name: base, icon: ref.icon, type: ref.type, tiers: [] };
+    const tier = getTierLabel(ref.name ?? '');
+    if (tier && !group.tiers.includes(tier)) group.tiers.push(tier);
+    groups.set(base, group);
+  }
+  return [...groups.values()];
+}
+
+function compatRow(group, emoji) {
+  const iconUrl = ardbImg(group.icon);
+  const sub = [group.type && titleCase(group.type), group.tiers.join(' · ')].filter(Boolean).join(' · ');
+  return `
+    <div class="entity-row">
+      ${iconUrl
+        ? `<img class="er-icon" src="${esc(iconUrl)}" alt="" loading="lazy"
+                onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+           <div class="er-icon-ph" style="display:none">${emoji}</div>`
+        : `<div class="er-icon-ph">${emoji}</div>`}
+      <div class="er-info">
+        <div class="er-name">${itemLink(group.name, group.name)}</div>
+        ${sub ? `<div class="er-sub">${esc(sub)}</div>` : ''}
+      </div>
+    </div>`;
+}
+
+/** Attachments a weapon accepts (ARDB `compatibleWith`), one row per mod page. */
+function buildAttachments(ardbDetail) {
+  const groups = groupByBaseName(ardbDetail?.compatibleWith ?? []);
+  if (!groups.length) return '';
+  return `
+    <div class="detail-section">
+      <div class="section-title">${ardbDetail.weaponSpecs ? 'Compatible Attachments' : 'Compatible With'}</div>
+      <div class="entity-list">${groups.map((g) => compatRow(g, '🔩')).join('')}</div>
+    </div>`;
+}
+
+/** Weapons a mod fits, from the reverse compatibility index (compatIndex.js). */
+function buildFitsWeapons(ardbDetail, compatIndex) {
+  const groups = groupByBaseName(compatIndex?.get(ardbDetail?.id) ?? []);
+  if (!groups.length) return '';
+  return `
+    <div class="detail-section">
+      <div class="section-title">Fits Weapons</div>
+      <div class="entity-list">${groups.map((g) => compatRow(g, '🔫')).join('')}</div>
+    </div>`;
+}
+
+/**
+ * Other variants of the item (ARDB `variants`). Variants on this page carry
+ * data-tier-name so the multi-tier view can switch tabs instead of navigating.
+ */
+function buildVariants(ardbDetail) {
+  const variants = (ardbDetail?.variants ?? []).filter((v) => v?.id && v.id !== ardbDetail.id);
+  if (!variants.length) return '';
+  const rows = variants.map((v) => {
+    const iconUrl = ardbImg(v.icon);
+    const slug = nameToSlug(normalizeBaseName(v.name));
+    return `
+      <div class="craft-ingredient">
+        ${iconUrl
+          ? `<img class="craft-ing-icon" src="${esc(iconUrl)}" alt="" loading="lazy">`
+          : '<div class="craft-ing-icon-ph"></div>'}
+        <a href="#/item/${encodeURIComponent(slug)}" data-tier-name="${esc(v.name)}">${esc(v.name)}</a>
+        ${v.value != null ? `<span class="craft-ing-amount">${v.value.toLocaleString()}</span>` : ''}
+      </div>`;
+  }).join('');
+  return `
+    <div class="detail-section">
+      <div class="section-title">Variants</div>
+      <div class="craft-requirements">${rows}</div>
+    </div>`;
+}
+
+// ─── Uses & Sources panel ─────────────────────────────────────
+
+const USE_LABELS = {
+  quest:   ['📜', 'Quest hand-in'],
+  station: ['🛠️', 'Workstation upgrade'],
+  craft:   ['🔧', 'Crafting ingredient'],
+  recycle: ['♻️', 'Recycles into'],
+};
+
+const SOURCE_LABELS = {
+  trader:  ['🛒', 'Sold by trader'],
+  craft:   ['🔧', 'Crafted'],
+  reward:  ['🎁', 'Quest reward'],
+  drop:    ['🤖', 'ARC drop'],
+  recycle: ['♻️', 'Recycled from'],
+};
+
+function graphLinkRow(link, labels) {
+  const [emoji, label] = labels[link.kind];
+  const iconHtml = link.icon
+    ? `<img class="er-icon" src="${esc(link.icon)}" alt="" loading="lazy"
+            onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+       <div class="er-icon-ph" style="display:none">${emoji}</div>`
+    : `<div class="er-icon-ph">${emoji}</div>`;
+  const badges = link.sources
+    .map((src) => `<span class="er-badge drop-source drop-source--${src === 'ARDB' ? 'ardb' : 'mf'}">${esc(src)}</span>`)
+    .join('');
+  return `
+    <div class="entity-row">
+      ${iconHtml}
+      <div class="er-info">
+        <div class="er-name">${link.href ? `<a href="${esc(link.href)}">${esc(link.name)}</a>` : esc(link.name)}</div>
+        <div class="er-sub">${esc(label)}${link.note ? ` · ${esc(link.note)}` : ''}</div>
+      </div>
+      ${badges}
+      ${link.qty != null ? `<span class="er-qty">× ${esc(String(link.qty))}</span>` : ''}
+    </div>`;
+}
+
+/**
+ * Every known use and source of the item, from the reverse item graph
+ * (itemGraph.js). Falls back to ARDB `usedInCraft` alone when the graph
+ * could not be built.
+ */
+function buildUsesSources(item, ardbDetail, graph) {
+  if (!graph) return buildUsedInCraft(ardbDetail);
+  const { uses, sources } = itemLinks(graph, item.id);
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Uses</div>
+      ${uses.length
+        ? `<div class="entity-list">${uses.map((l) => graphLinkRow(l, USE_LABELS)).join('')}</div>`
+        : '<p class="empty-note">No known quest, workstation or crafting uses.</p>'}
+    </div>
+    <div class="detail-section">
+      <div class="section-title">Sources</div>
+      ${sources.length
+        ? `<div class="entity-list">${sources.map((l) => graphLinkRow(l, SOURCE_LABELS)).join('')}</div>`
+        : '<p class="empty-note">No known traders, recipes, rewards or drops.</p>'}
+    </div>`;
+}
+
 // ─── Guide links section ──────────────────────────────────────
 
 function buildGuideLinks(links) {
@@ -405,7 +669,7 @@ function buildGuideLinks(links) {
  * Keyed by normalized base name in src/data/item-overrides.json.
  */
 function buildHowToGetSection(item, itemOverrides) {
-  const override = (itemOverrides ?? {})[normalizeBaseName(item.name)];
+  const override = overrideFor(item, itemOverrides);
   if (!override) return '';
 
   const parts = [];
@@ -520,6 +784,16 @@ function buildLocationsSection(item) {
 
 // ─── Sidebar ──────────────────────────────────────────────────
 
+/** Keep / sell / recycle verdict card (lootAdvisor.js). */
+function buildAdviceCard(advice) {
+  return `
+    <div class="info-card">
+      <div class="info-card-title">Keep or Sell?</div>
+      <div class="advice-verdict advice--${advice.verdict}">${esc(advice.label)}</div>
+      <ul class="advice-reasons">${advice.reasons.map((r) => `<li>${esc(r)}</li>`).join('')}</ul>
+    </div>`;
+}
+
 function buildSidebar(item, soldBy, ardbDetail) {
   const rc = rarityClass(item.rarity);
 
@@ -555,6 +829,15 @@ function buildSidebar(item, soldBy, ardbDetail) {
 
   let html = `<div class="info-card"><div class="info-card-title">Quick Facts</div>${facts}</div>`;
 
+  html += buildWeaponSpecs(item, ardbDetail);
+
+  // Keep / sell / recycle verdict — needs the item graph, filled in by renderItemGroup
+  html += `
+    <div class="info-card" data-deferred="advice" data-item-id="${esc(item.id)}">
+      <div class="info-card-title">Keep or Sell?</div>
+      <p class="empty-note">Checking quest and crafting uses…</p>
+    </div>`;
+
   // Sold By
   if (soldBy.length) {
     const rows = soldBy.map(({ name, price }) => `
@@ -578,7 +861,7 @@ function buildSidebar(item, soldBy, ardbDetail) {
 
 // ─── Per-item body block (main + sidebar, no hero) ─────────────
 
-function buildBody(item, soldBy, ardbDetail, itemOverrides) {
+function buildBody(item, soldBy, ardbDetail, itemOverrides, isMod) {
   const mainContent = [
     item.description ? `
       <div class="detail-section">
@@ -598,7 +881,20 @@ function buildBody(item, soldBy, ardbDetail, itemOverrides) {
 
     buildRecycling(ardbDetail),
 
-    buildUsedInCraft(ardbDetail),
+    buildAttachments(ardbDetail),
+
+    isMod && ardbDetail ? `
+      <div class="detail-section" data-deferred="fits" data-item-id="${esc(item.id)}">
+        <div class="section-title">Fits Weapons</div>
+        <p class="empty-note">Checking which weapons take this attachment…</p>
+      </div>` : '',
+
+    buildVariants(ardbDetail),
+
+    `<div class="detail-section" data-deferred="uses" data-item-id="${esc(item.id)}">
+      <div class="section-title">Uses</div>
+      <p class="empty-note">Looking up quests, recipes, drops and traders…</p>
+    </div>`,
 
     buildHowToGetSection(item, itemOverrides),
 
@@ -616,21 +912,185 @@ function buildBody(item, soldBy, ardbDetail, itemOverrides) {
 
 // ─── Per-item content block (hero + body — used inside tier panels) ─
 
-function buildItemContent(item, soldBy, ardbDetail, itemOverrides) {
+function buildItemContent(item, soldBy, ardbDetail, itemOverrides, isMod) {
   return `
     ${buildHero(item)}
-    ${buildBody(item, soldBy, ardbDetail, itemOverrides)}`;
+    ${buildBody(item, soldBy, ardbDetail, itemOverrides, isMod)}`;
+}
+
+// ─── Tier progression panel (multi-tier groups only) ───────────
+
+/** Rounds to one decimal for display: 36.7, 4, −2.5 */
+function fmtStat(n) {
+  return (Math.round(n * 10) / 10).toLocaleString();
+}
+
+/**
+ * Numeric stats per tier. MetaForge stat_block first — a 0 there is a real
+ * value (e.g. Tempest I's reload bonus before tier II adds one); ARDB
+ * weaponSpecs.stats only fills keys MetaForge leaves out entirely.
+ */
+function tierStatValue(item, ardbDetail, key) {
+  const mf = item.stat_block?.[key];
+  if (typeof mf === 'number') return mf;
+  const ardb = ardbDetail?.weaponSpecs?.stats?.[key];
+  return typeof ardb === 'number' ? ardb : null;
+}
+
+/**
+ * One mini bar chart per stat that changes between tiers: a bar per tier
+ * (height relative to the stat's highest value) and the delta of each step
+ * ("—" where either tier's value is unknown). The largest step of each stat
+ * is marked as its jump.
+ */
+function buildTierStatChart(tiers, ardbDetailMap) {
+  const labels = tiers.map((t) => getTierLabel(t.name) ?? t.name);
+
+  const rows = Object.entries(STAT_LABELS).flatMap(([key, label]) => {
+    const values = tiers.map((t) => tierStatValue(t, ardbDetailMap.get(t.id), key));
+    if (values.filter((v) => v != null).length < 2) return [];
+    const deltas = values.map((v, i) => (i && v != null && values[i - 1] != null ? v - values[i - 1] : null));
+    if (!deltas.some((d) => d)) return [];
+
+    const max     = Math.max(...values.map((v) => Math.abs(v ?? 0)));
+    const maxJump = Math.max(...deltas.map((d) => Math.abs(d ?? 0)));
+    const lowBetter = LOWER_IS_BETTER.has(key);
+
+    const cols = values.map((v, i) => {
+      const d = deltas[i];
+      const deltaHtml = d
+        ? `<span class="tp-delta ${(d > 0) !== lowBetter ? 'tp-up' : 'tp-down'}${Math.abs(d) === maxJump ? ' tp-jump' : ''}"
+                 title="${esc(`${labels[i - 1]} → ${labels[i]}`)}">${d > 0 ? '+' : '−'}${fmtStat(Math.abs(d))}</span>`
+        : `<span class="tp-delta">${!i ? '' : d === 0 ? '±0' : '—'}</span>`;
+      return `
+        <div class="tp-col">
+          ${deltaHtml}
+          <div class="tp-bar-wrap">
+            <div class="tp-bar" style="height:${v && max ? Math.max(4, Math.abs(v) / max * 100) : 0}%"></div>
+          </div>
+          <span class="tp-val">${v != null ? fmtStat(v) : '—'}</span>
+          <span class="tp-tier">${esc(labels[i])}</span>
+        </div>`;
+    }).join('');
+
+    return [`
+      <div class="tp-stat">
+        <div class="tp-stat-name">${esc(label)}</div>
+        <div class="tp-chart">${cols}</div>
+      </div>`];
+  });
+
+  if (!rows.length) return '<p class="empty-note">Stats are the same on every tier.</p>';
+  return `<div class="tp-stats">${rows.join('')}</div>`;
+}
+
+/**
+ * Materials and base value per crafting step — tier I's own recipe, then
+ * each upgrade — with running totals. The previous tier an upgrade
+ * consumes is left out so it isn't counted twice.
+ */
+function buildTierCostTable(tiers, ardbDetailMap) {
+  const tierArdbIds = new Set(tiers.map((t) => ardbDetailMap.get(t.id)?.id).filter(Boolean));
+  if (!tierArdbIds.size) return '<p class="empty-note">No ARDB crafting data for these tiers.</p>';
+
+  const totals = new Map(); // ardb item id → { item, amount }
+  let cumulative = 0;
+  let incomplete = false; // a step without a recipe makes later totals a lower bound
+  const fmtTotal = () => `${incomplete ? '≥ ' : ''}${cumulative.toLocaleString()}`;
+
+  const rows = tiers.map((tier, i) => {
+    const label = getTierLabel(tier.name) ?? tier.name;
+    const step  = i ? `${getTierLabel(tiers[i - 1].name) ?? tiers[i - 1].name} → ${label}` : `Craft ${label}`;
+    const cr    = ardbDetailMap.get(tier.id)?.craftingRequirement;
+
+    if (!cr?.requiredItems?.length) {
+      incomplete = true;
+      return `
+        <div class="tp-cost-row">
+          <span class="tp-cost-step">${esc(step)}</span>
+          <span class="tp-cost-mats empty-note">No recipe known</span>
+          <span class="tp-cost-val">—</span>
+          <span class="tp-cost-total">${fmtTotal()}</span>
+        </div>`;
+    }
+
+    const mats = cr.requiredItems.filter(({ item }) => item && !tierArdbIds.has(item.id));
+    const stepValue = mats.reduce((sum, { item, amount }) => sum + (item.value ?? 0) * (amount ?? 1), 0);
+    cumulative += stepValue;
+    for (const { item, amount } of mats) {
+      const t = totals.get(item.id) ?? { item, amount: 0 };
+      t.amount += amount ?? 1;
+      totals.set(item.id, t);
+    }
+
+    return `
+      <div class="tp-cost-row">
+        <span class="tp-cost-step">${esc(step)}</span>
+        <span class="tp-cost-mats">${mats.map(({ item, amount }) =>
+          `<span class="tp-mat">${esc(String(amount ?? 1))}× ${itemLink(item.id, item.name)}</span>`).join('')}</span>
+        <span class="tp-cost-val">${stepValue.toLocaleString()}</span>
+        <span class="tp-cost-total">${fmtTotal()}</span>
+      </div>`;
+  }).join('');
+
+  const totalRows = [...totals.values()]
+    .sort((a, b) => (b.item.value ?? 0) * b.amount - (a.item.value ?? 0) * a.amount)
+    .map(({ item, amount }) => craftIngredientRow(item, amount))
+    .join('');
+
+  return `
+    <div class="tp-cost">
+      <div class="tp-cost-row tp-cost-head">
+        <span class="tp-cost-step">Step</span>
+        <span class="tp-cost-mats">Materials</span>
+        <span class="tp-cost-val">Value</span>
+        <span class="tp-cost-total">Cumulative</span>
+      </div>
+      ${rows}
+    </div>
+    ${totalRows ? `
+      <div class="craft-subtitle">All materials, ${esc(getTierLabel(tiers[0].name) ?? tiers[0].name)} to ${esc(getTierLabel(tiers.at(-1).name) ?? tiers.at(-1).name)}</div>
+      <div class="craft-requirements">${totalRows}</div>` : ''}`;
+}
+
+/** Stat deltas and upgrade cost across the tiers of a group (blueprints excluded). */
+function buildTierProgression(sorted, ardbDetailMap) {
+  const tiers = sorted.filter((i) => !['Blueprint', 'Recipe'].includes(getTierLabel(i.name)));
+  if (tiers.length < 2) return '';
+  return `
+    <div class="tier-progression">
+      <div class="detail-section">
+        <div class="section-title">Tier Progression</div>
+        ${buildTierStatChart(tiers, ardbDetailMap)}
+      </div>
+      <div class="detail-section">
+        <div class="section-title">Upgrade Cost</div>
+        ${buildTierCostTable(tiers, ardbDetailMap)}
+      </div>
+    </div>`;
+}
+
+// ─── Compare button ────────────────────────────────────────────
+
+/** "⇄ Compare" in each hero adds that tier to the tray and opens the comparison. */
+function wireCompareButtons(container) {
+  container.querySelectorAll('.hero-compare').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      window.location.hash = compareHref(addToCompare(btn.dataset.compareId));
+    });
+  });
 }
 
 // ─── Main export ───────────────────────────────────────────────
 
-export async function renderItemGroup(slug, container) {
+export async function renderItemGroup(slug, container, { signal } = {}) {
   const [items, tradersData, ardbCrossRef, itemOverrides] = await Promise.all([
-    fetchItems(),
-    fetchTraders().catch(() => ({})),
-    buildArdbCrossRef().catch(() => null),
+    fetchItems({ signal }),
+    fetchTraders({ signal }).catch(() => ({})),
+    buildArdbCrossRef({ signal }).catch(() => null),
     loadItemOverrides(),
   ]);
+  signal?.throwIfAborted(); // the .catch() fallbacks above swallow AbortErrors
 
   // Primary lookup: all items whose normalised base-name slug matches the URL segment
   let group = items.filter(
@@ -662,22 +1122,90 @@ export async function renderItemGroup(slug, container) {
   const baseName = normalizeBaseName(sorted[0].name);
 
   // ── Fetch ARDB details for all tiers in parallel ───────────────
-  // Cross-reference each MetaForge item name against the ARDB list, then
-  // fetch the full ARDB detail for any that match.
+  // Resolve each MetaForge tier to its ARDB list item (itemMatching.js),
+  // then fetch the full ARDB detail for any that matched.
   const ardbDetailMap = new Map(); // mf_item_id → ardb full detail
   if (ardbCrossRef) {
     await Promise.allSettled(
       sorted.map(async (item) => {
-        const ardbListItem = lookupArdbByName(item.name, ardbCrossRef);
+        const ardbListItem = lookupArdbItem(item, ardbCrossRef);
         if (!ardbListItem) return;
         try {
-          const detail = await fetchArdbItem(ardbListItem.id);
+          const detail = await fetchArdbItem(ardbListItem.id, { signal });
           ardbDetailMap.set(item.id, detail);
         } catch (err) {
-          console.warn(`[ARDB] Could not load detail for "${item.name}":`, err.message);
+          if (!signal?.aborted) console.warn(`[ARDB] Could not load detail for "${item.name}":`, err.message);
         }
       })
     );
+    signal?.throwIfAborted();
+  }
+
+  // Mod pages also list the weapons they fit (compatibility index)
+  const isMod = sorted.some((i) => MOD_ITEM_TYPES.has(i.item_type))
+    || [...ardbDetailMap.values()].some((d) => d.type === 'modification');
+
+  // Trader listings for an ARDB ingredient, via its matched MetaForge items
+  const buyOptions = (ardbId) =>
+    (ardbCrossRef?.byArdbId.get(ardbId) ?? [])
+      .flatMap((mfId) => soldByMap.get(mfId) ?? [])
+      .sort((a, b) => (a.price ?? 0) - (b.price ?? 0));
+
+  // ── Slow sections: painted as placeholders, filled in as they resolve ──
+  // The item graph, crafting trees and compatibility index can each take
+  // many requests on a cold cache, so the page never waits for them.
+  const itemById = new Map(sorted.map((i) => [i.id, i]));
+
+  /** Replaces every `data-deferred="<name>"` placeholder (optionally one item's) with build(). */
+  function fillDeferred(name, build, mfId = null) {
+    const selector = `[data-deferred="${name}"]${mfId ? `[data-item-id="${CSS.escape(mfId)}"]` : ''}`;
+    for (const el of container.querySelectorAll(selector)) {
+      const item = itemById.get(el.dataset.itemId);
+      el.outerHTML = build(item, ardbDetailMap.get(item.id) ?? null);
+    }
+  }
+
+  function loadDeferredSections() {
+    // Reverse item graph → Uses / Sources and the keep-or-sell verdict
+    buildItemGraph({ signal })
+      .catch((err) => {
+        if (!signal?.aborted) console.warn('[itemGraph] Could not build the item graph:', err.message);
+        return null;
+      })
+      .then((graph) => {
+        if (signal?.aborted) return;
+        fillDeferred('uses', (item, ardbDetail) => buildUsesSources(item, ardbDetail, graph));
+        fillDeferred('advice', (item, ardbDetail) => buildAdviceCard(adviseItem(item, {
+          uses:   graph ? itemLinks(graph, item.id).uses : [],
+          ardbDetail,
+          soldBy: soldByMap.get(item.id) ?? [],
+        })));
+      });
+
+    // Full crafting trees — one shared ingredient lookup for all tiers
+    const ingredientDetails = new Map();
+    for (const [mfId, detail] of ardbDetailMap) {
+      buildCraftingTree(detail, { signal, details: ingredientDetails })
+        .catch((err) => {
+          if (!signal?.aborted) console.warn(`[ARDB] Could not resolve crafting tree for "${detail.name}":`, err.message);
+          return null;
+        })
+        .then((tree) => {
+          if (!signal?.aborted) fillDeferred('craft-tree', () => buildCraftTreeAndBill(tree, buyOptions), mfId);
+        });
+    }
+
+    // Weapons a mod fits
+    if (isMod) {
+      buildCompatIndex({ signal })
+        .catch((err) => {
+          if (!signal?.aborted) console.warn('[compatIndex] Could not build the compatibility index:', err.message);
+          return null;
+        })
+        .then((compatIndex) => {
+          if (!signal?.aborted) fillDeferred('fits', (item, ardbDetail) => buildFitsWeapons(ardbDetail, compatIndex));
+        });
+    }
   }
 
   const breadcrumb = `
@@ -702,8 +1230,10 @@ export async function renderItemGroup(slug, container) {
           ${breadcrumb}
           ${buildHero(item)}
         </div>
-        ${buildBody(item, soldBy, ardbDetail, itemOverrides)}
+        ${buildBody(item, soldBy, ardbDetail, itemOverrides, isMod)}
       </div>`;
+    wireCompareButtons(container);
+    loadDeferredSections();
     return;
   }
 
@@ -725,7 +1255,7 @@ export async function renderItemGroup(slug, container) {
     const ardbDetail = ardbDetailMap.get(item.id) ?? null;
     return `
       <div class="tier-panel" data-panel="${i}"${i !== 0 ? ' hidden' : ''}>
-        ${buildItemContent(item, soldBy, ardbDetail, itemOverrides)}
+        ${buildItemContent(item, soldBy, ardbDetail, itemOverrides, isMod)}
       </div>`;
   }).join('');
 
@@ -739,17 +1269,32 @@ export async function renderItemGroup(slug, container) {
         </div>
       </div>
       ${panels}
+      ${buildTierProgression(sorted, ardbDetailMap)}
     </div>`;
 
+  wireCompareButtons(container);
+  loadDeferredSections();
+
   // Wire up tab switching after innerHTML is set
   const allBtns   = container.querySelectorAll('.tier-tab');
   const allPanels = container.querySelectorAll('.tier-panel');
 
+  const showTier = (idx) => {
+    allBtns.forEach((b, j)   => b.classList.toggle('active', j === idx));
+    allPanels.forEach((p, j) => { p.hidden = j !== idx; });
+  };
   allBtns.forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const idx = parseInt(btn.dataset.ti, 10);
-      allBtns.forEach((b, j)   => b.classList.toggle('active', j === idx));
-      allPanels.forEach((p, j) => { p.hidden = j !== idx; });
+    btn.addEventListener('click', () => showTier(parseInt(btn.dataset.ti, 10)));
+  });
+
+  // Variant links to a tier of this page switch tabs (the hash wouldn't change)
+  container.querySelectorAll('[data-tier-name]').forEach((link) => {
+    const idx = sorted.findIndex((i) => i.name === link.dataset.tierName);
+    if (idx < 0) return;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showTier(idx);
+      allBtns[idx].scrollIntoView({ block: 'nearest' });
     });
   });
 }
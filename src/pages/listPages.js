@@ -2,11 +2,12 @@
  * listPages.js
  *
  * Renders index/listing pages for every nav category.
- * Routes: #/items  #/quests  #/arc  #/traders  #/events
+ * Routes: #/items  #/quests  #/arc  #/traders  #/maps
  */
 
-import { fetchItems, fetchArcs, fetchQuests, fetchTraders } from '../services/metaforgeApi.js';
+import { fetchItems, fetchArcs, fetchQuests, fetchTraders, onDataChanged } from '../services/metaforgeApi.js';
 import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
+import { buildItemAdvice, strongestAdvice, VERDICTS } from '../services/lootAdvisor.js';
 
 // ─── Utilities ────────────────────────────────────────────────
 
@@ -90,8 +91,9 @@ function getBucket(itemType) {
 
 const BUCKET_LABELS = ['Weapons', 'Attachments', 'Consumables', 'Materials', 'Blueprints', 'Armor'];
 
-export async function renderItemsList(container) {
-  const items = await fetchItems();
+export async function renderItemsList(container, { signal } = {}) {
+  // Stale data renders instantly; fresh prices re-render the grid in place
+  const items = await fetchItems({ staleWhileRevalidate: true, signal });
   document.title = 'Items — RaiderPortal';
 
   // ── Filter bar ────────────────────────────────────────────────
@@ -115,6 +117,8 @@ export async function renderItemsList(container) {
             <option value="rarity-asc">Rarity: Low→High</option>
             <option value="value-desc">Value: High→Low</option>
             <option value="value-asc">Value: Low→High</option>
+            <option value="verdict-keep">Verdict: Keep→Sell</option>
+            <option value="verdict-sell">Verdict: Sell→Keep</option>
           </select>
         </div>
       </div>
@@ -126,12 +130,15 @@ export async function renderItemsList(container) {
 
   // ── Group items by base slug (collapses tiers/blueprints) ─────
   //    e.g. "Anvil I", "Anvil II", "Anvil Blueprint" → slug "anvil"
-  const groupMap = new Map(); // slug → { slug, baseName, items[] }
-  for (const item of items) {
-    const baseName = normalizeBaseName(item.name);
-    const slug     = nameToSlug(baseName);
-    if (!groupMap.has(slug)) groupMap.set(slug, { slug, baseName, items: [] });
-    groupMap.get(slug).items.push(item);
+  function groupBySlug(list) {
+    const groupMap = new Map(); // slug → { slug, baseName, items[] }
+    for (const item of list) {
+      const baseName = normalizeBaseName(item.name);
+      const slug     = nameToSlug(baseName);
+      if (!groupMap.has(slug)) groupMap.set(slug, { slug, baseName, items: [] });
+      groupMap.get(slug).items.push(item);
+    }
+    return [...groupMap.values()];
   }
 
   // Numeric tier rank for an item name (higher = later tier).
@@ -160,9 +167,16 @@ export async function renderItemsList(container) {
     );
   }
 
+  // Keep / sell verdicts (lootAdvisor.js) — filled in once they resolve
+  let adviceMap = null; // mf_item_id → Advice
+
+  const PROVISIONAL_NOTE = 'Provisional: recycling and crafting data load when the item page is opened.';
+  const verdictTier = (card) => (card.dataset.verdict === '' ? 2 : card.dataset.provisional ? 1 : 0);
+
   // ── Card builder (one card per group) ─────────────────────────
   function buildGroupCard({ slug, baseName, items: g }) {
     const rep        = pickRep(g);
+    const advice     = adviceMap && strongestAdvice(g.map((i) => adviceMap.get(i.id)).filter(Boolean));
     const href       = `#/item/${encodeURIComponent(slug)}`;
     const rarity     = rep.rarity ?? 'Common'; // rarity of the highest tier
     const bucket     = getBucket(rep.item_type);
@@ -188,7 +202,9 @@ export async function renderItemsList(container) {
          data-name="${esc(baseName.toLowerCase())}"
          data-bucket="${esc(bucket)}"
          data-rarity="${esc(rarity)}"
-         data-value="${maxValue}">
+         data-value="${maxValue}"
+         data-verdict="${advice ? VERDICTS.indexOf(advice.verdict) : ''}"
+         data-provisional="${advice?.provisional ? '1' : ''}">
         <div class="ic-icon-wrap">
           ${iconHtml}
           ${tierBadge}
@@ -198,26 +214,35 @@ export async function renderItemsList(container) {
           <div class="ic-footer">
             ${rep.item_type ? `<span class="ic-cat">${esc(rep.item_type)}</span>` : ''}
             <span class="ic-rarity">${esc(rarity)}</span>
+            ${advice ? `<span class="ic-verdict advice--${advice.verdict}${advice.provisional ? ' ic-verdict--provisional' : ''}"
+                    title="${esc([advice.provisional ? PROVISIONAL_NOTE : '', ...advice.reasons].filter(Boolean).join(' '))}">${esc(advice.label)}${advice.provisional ? '?' : ''}</span>` : ''}
           </div>
           ${metaParts.length ? `<div class="ic-meta">${metaParts.join(' · ')}</div>` : ''}
         </div>
       </a>`;
   }
 
-  // Initial render: rarity desc (Legendary first), then name A→Z within each rarity
-  const groups = [...groupMap.values()].sort((a, b) => {
-    const aRar = RARITY_RANK[pickRep(a.items).rarity] ?? 0;
-    const bRar = RARITY_RANK[pickRep(b.items).rarity] ?? 0;
-    if (bRar !== aRar) return bRar - aRar;
-    return a.baseName.localeCompare(b.baseName);
-  });
+  // Initial order: rarity desc (Legendary first), then name A→Z within each rarity
+  function sortedGroups(list) {
+    return groupBySlug(list).sort((a, b) => {
+      const aRar = RARITY_RANK[pickRep(a.items).rarity] ?? 0;
+      const bRar = RARITY_RANK[pickRep(b.items).rarity] ?? 0;
+      if (bRar !== aRar) return bRar - aRar;
+      return a.baseName.localeCompare(b.baseName);
+    });
+  }
+
+  const bannerSub = (groupCount, variantCount) =>
+    `${groupCount.toLocaleString()} items · ${variantCount.toLocaleString()} variants`;
+
+  const groups = sortedGroups(items);
   const initialCards = groups.map(buildGroupCard).join('');
 
   container.innerHTML = `
     <div class="page-item">
       <div class="detail-banner">
         ${breadcrumb('Items')}
-        ${bannerHeader('Items', `${groups.length.toLocaleString()} items · ${items.length.toLocaleString()} variants`)}
+        ${bannerHeader('Items', bannerSub(groups.length, items.length))}
       </div>
       <div class="list-body">
         ${filterBar}
@@ -260,6 +285,9 @@ export async function renderItemsList(container) {
         case 'rarity-desc': return (RARITY_RANK[b.dataset.rarity] ?? 99) - (RARITY_RANK[a.dataset.rarity] ?? 99);
         case 'value-asc':   return Number(a.dataset.value) - Number(b.dataset.value);
         case 'value-desc':  return Number(b.dataset.value) - Number(a.dataset.value);
+        // Confirmed verdicts first, then provisional ones, then cards without any — either way
+        case 'verdict-keep': return verdictTier(a) - verdictTier(b) || Number(a.dataset.verdict) - Number(b.dataset.verdict);
+        case 'verdict-sell': return verdictTier(a) - verdictTier(b) || Number(b.dataset.verdict) - Number(a.dataset.verdict);
         default:            return 0;
       }
     });
@@ -281,12 +309,41 @@ export async function renderItemsList(container) {
     }
     applyFilter();
   });
+
+  // ── Swap in fresh cards, keep search/sort/filter state ─────────
+  let currentItems = items;
+  function rerenderCards() {
+    const freshGroups = sortedGroups(currentItems);
+    for (const card of gridEl.querySelectorAll('.item-card')) card.remove();
+    noResultsEl.insertAdjacentHTML('beforebegin', freshGroups.map(buildGroupCard).join(''));
+    const subEl = container.querySelector('.page-item .hero-sub');
+    if (subEl) subEl.textContent = bannerSub(freshGroups.length, currentItems.length);
+    applySort();
+  }
+
+  // ── Live refresh ──────────────────────────────────────────────
+  const unsubscribe = onDataChanged('items', (freshItems) => {
+    if (!gridEl.isConnected) { unsubscribe(); return; } // navigated away
+    currentItems = freshItems;
+    rerenderCards();
+  });
+
+  // ── Verdicts: computed in the background, cards re-render when ready ──
+  buildItemAdvice({ signal })
+    .then((advice) => {
+      if (!gridEl.isConnected) return;
+      adviceMap = advice;
+      rerenderCards();
+    })
+    .catch((err) => {
+      if (!signal?.aborted) console.warn('[lootAdvisor] Could not compute verdicts:', err.message);
+    });
 }
 
 // ─── Quests ────────────────────────────────────────────────────
 
-export async function renderQuestsList(container) {
-  const quests = await fetchQuests();
+export async function renderQuestsList(container, { signal } = {}) {
+  const quests = await fetchQuests({ signal });
   document.title = 'Quests — RaiderPortal';
 
   // Alphabetical order
@@ -427,8 +484,8 @@ export async function renderQuestsList(container) {
 
 // ─── ARC ───────────────────────────────────────────────────────
 
-export async function renderArcsList(container) {
-  const arcs = await fetchArcs();
+export async function renderArcsList(container, { signal } = {}) {
+  const arcs = await fetchArcs({ signal });
   document.title = 'ARC Enemies — RaiderPortal';
 
   const sorted = [...arcs].sort((a, b) => a.name.localeCompare(b.name));
@@ -463,8 +520,8 @@ export async function renderArcsList(container) {
 
 // ─── Traders ───────────────────────────────────────────────────
 
-export async function renderTradersList(container) {
-  const tradersData = await fetchTraders();
+export async function renderTradersList(container, { signal } = {}) {
+  const tradersData = await fetchTraders({ signal });
   document.title = 'Traders — RaiderPortal';
 
   const sorted = Object.keys(tradersData).sort((a, b) => a.localeCompare(b));
@@ -560,26 +617,3 @@ export function renderMapsList(container) {
       </div>
     </div>`;
 }
-
-// ─── Events ────────────────────────────────────────────────────
-
-export async function renderEventsList(container) {
-  document.title = 'Events — RaiderPortal';
-
-  container.innerHTML = `
-    <div class="page-events">
-      <div class="detail-banner">
-        ${breadcrumb('Events')}
-        ${bannerHeader('Events')}
-      </div>
-      <div class="list-body detail-full">
-        <div class="events-placeholder">
-          <div class="events-placeholder-icon">📅</div>
-          <div class="events-placeholder-title">No active events</div>
-          <div class="events-placeholder-body">
-            Event data isn't available in the current API. Check back after the next patch.
-          </div>
-        </div>
-      </div>
-    </div>`;
-}
@@ -5,15 +5,24 @@
  *
  * Sections:
  *   1. Hero banner — CDN image + name + lore description
- *   2. Available Events — from MetaForge events-schedule, filtered to this map
- *   3. Key Locations — ARDB key items whose name contains map-specific keywords
- *   4. Items Found Here — item-overrides.json mapExclusive; shows "coming soon" until populated
- *   5. Quests — no map field in MetaForge quests API; shows "coming soon"
- *   6. Contribute note — invites community contributions
+ *   2. Interactive Map — ARDB tile pyramid + ARC spawn and quest markers (mapViewer.js)
+ *   3. Available Events — from MetaForge events-schedule, filtered to this map
+ *   4. Key Locations — ARDB key items whose name contains map-specific keywords
+ *   5. Items Found Here — mapItemIndex.js (MetaForge locations, ARDB maps, overrides), by loot zone
+ *   6. Quests — MetaForge quests whose `locations` reference this map, grouped by trader
+ *   7. Contribute note — invites community contributions
  */
 
-import { fetchEventsSchedule } from '../services/metaforgeApi.js';
-import { fetchArdbItems, ardbImg } from '../services/ardbApi.js';
+import { fetchEventsSchedule, fetchQuests } from '../services/metaforgeApi.js';
+import {
+  fetchArdbItems,
+  fetchAllArdbEnemies,
+  buildEnemyCrossRef,
+  ardbImg,
+} from '../services/ardbApi.js';
+import { buildMapItemIndex } from '../services/mapItemIndex.js';
+import { nameToSlug } from '../services/searchIndex.js';
+import { mountTileMap } from './mapViewer.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // MAP METADATA
@@ -66,6 +75,26 @@ const MAP_META = {
   },
 };
 
+// Zone type → CSS modifier (for loot_area badge colours, as on item pages)
+const ZONE_COLOR = new Map([
+  ['arc',           'zone-arc'],
+  ['exodus',        'zone-exodus'],
+  ['residential',   'zone-residential'],
+  ['commercial',    'zone-commercial'],
+  ['industrial',    'zone-industrial'],
+  ['security',      'zone-security'],
+  ['mechanical',    'zone-mechanical'],
+  ['medical',       'zone-medical'],
+  ['electrical',    'zone-electrical'],
+  ['technological', 'zone-tech'],
+  ['nature',        'zone-nature'],
+  ['old world',     'zone-oldworld'],
+  ['raider',        'zone-raider'],
+]);
+
+/** Provenance label → badge modifier (shares the ARC drop-table styles). */
+const SOURCE_CLASS = { MetaForge: 'mf', ARDB: 'ardb', Override: 'override' };
+
 // ─────────────────────────────────────────────────────────────────────────────
 // UTILITIES
 // ─────────────────────────────────────────────────────────────────────────────
@@ -76,6 +105,10 @@ function esc(s) {
     .replace(/"/g, '&quot;');
 }
 
+function rarityClass(rarity) {
+  return 'rarity-' + (rarity ?? 'common').toLowerCase().replace(/\s+/g, '-');
+}
+
 function comingSoon(title, icon = '🗺️', note = 'Community data coming soon') {
   return `
     <div class="detail-section">
@@ -91,6 +124,121 @@ function comingSoon(title, icon = '🗺️', note = 'Community data coming soon'
 // SECTION BUILDERS
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Collects this map's tile layers and one marker group per ARC enemy that
+ * spawns on it, from every ARDB enemy detail. Markers link to the matching
+ * MetaForge ARC page when the enemy cross-reference has one.
+ *
+ * @returns {{ layers: object[], groups: import('./mapViewer.js').MarkerGroup[] }}
+ */
+function collectSpawnLayers(mapId, enemyDetails, enemyRef) {
+  const map = enemyDetails
+    .flatMap((d) => d.relatedMaps ?? [])
+    .find((m) => m.id === mapId && m.tileLayers?.length);
+  if (!map) return { layers: [], groups: [] };
+
+  const layerIds = new Set(map.tileLayers.map((l) => l.id));
+  const spawning = enemyDetails.filter((d) => (d.markers ?? []).some((m) => layerIds.has(m.mapId)));
+
+  const groups = spawning.map((enemy, i) => {
+    const arcId = enemyRef?.byArdbId.get(enemy.id)?.[0];
+    return {
+      id:    enemy.id,
+      label: enemy.name,
+      // Evenly spaced hues keep up to ~20 enemy types distinguishable
+      color: `hsl(${Math.round((i * 360) / spawning.length)}, 85%, 60%)`,
+      markers: enemy.markers
+        .filter((m) => layerIds.has(m.mapId) && Array.isArray(m.coordinate))
+        .map((m) => ({
+          layerId: m.mapId,
+          x:       m.coordinate[0],
+          y:       m.coordinate[1],
+          title:   enemy.name,
+          href:    arcId ? `#/arc/${encodeURIComponent(arcId)}` : undefined,
+        })),
+    };
+  });
+
+  return { layers: map.tileLayers, groups };
+}
+
+/**
+ * Finds every quest whose `locations` reference this map. Only locations with
+ * x/y coordinates become `spots`; id-only entries point at MetaForge map POIs
+ * whose coordinates are not public (see game-map-data.json), so those quests
+ * are listed but not pinned. A quest's `position` is its node in the quest
+ * tree, not a map coordinate, and is ignored here.
+ *
+ * @returns {Array<{ quest: object, spots: Array<{ x: number, y: number }> }>}
+ */
+function questsOnMap(quests, mapId) {
+  return quests
+    .map((quest) => {
+      const here = (quest.locations ?? []).filter((l) => l?.map === mapId);
+      const spots = here
+        .filter((l) => Number.isFinite(l.x) && Number.isFinite(l.y))
+        .map((l) => ({ x: l.x, y: l.y }));
+      return here.length ? { quest, spots } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.quest.name.localeCompare(b.quest.name));
+}
+
+/**
+ * One diamond marker group per trader for quests with pinned spots.
+ * MetaForge quest coordinates share ARDB's full-image pixel space; maps split
+ * into several tile layers (Stella Montis) carry no level hint, so quest pins
+ * only appear on maps with a single layer or a layer named after the map.
+ *
+ * @returns {import('./mapViewer.js').MarkerGroup[]}
+ */
+function collectQuestMarkers(mapId, questsHere, layers) {
+  const layer = layers.find((l) => l.id === mapId) ?? (layers.length === 1 ? layers[0] : null);
+  if (!layer) return [];
+
+  const byTrader = new Map();
+  for (const { quest, spots } of questsHere) {
+    const trader = quest.trader_name || 'Unknown trader';
+    for (const { x, y } of spots) {
+      if (x < 0 || y < 0 || x > layer.width || y > layer.height) continue;
+      if (!byTrader.has(trader)) byTrader.set(trader, []);
+      byTrader.get(trader).push({
+        layerId: layer.id,
+        x,
+        y,
+        title:   `${quest.name} (${trader})`,
+        href:    `#/quest/${encodeURIComponent(quest.id)}`,
+      });
+    }
+  }
+
+  const traders = [...byTrader.keys()].sort();
+  return traders.map((trader, i) => ({
+    id:      `quest:${trader}`,
+    label:   `${trader} quests`,
+    // Warm hues only, offset from the evenly spread ARC spawn colours
+    color:   `hsl(${30 + Math.round((i * 40) / Math.max(1, traders.length - 1))}, 95%, 62%)`,
+    shape:   'diamond',
+    markers: byTrader.get(trader),
+  }));
+}
+
+/** Interactive map shell — mountTileMap() fills `.tile-map` after render. */
+function buildTileMapSection(spawnLayers, mapMeta) {
+  if (!spawnLayers.layers.length) {
+    return comingSoon('Interactive Map', '🗺️', 'Map tiles are not available for this map yet');
+  }
+  return `
+    <div class="detail-section">
+      <div class="section-title">Interactive Map</div>
+      <p class="map-section-note">
+        ARC spawn points and quest spots (◆) on ${esc(mapMeta.name)}. Toggle groups below; click a marker to open its page.
+        Tiles and spawn data: <a href="https://ardb.app" target="_blank" rel="noopener noreferrer">ARDB</a>.
+      </p>
+      <div class="tile-map"></div>
+    </div>`;
+}
+
 /**
  * Renders unique events that appear on this map.
  * Events are deduplicated by name — the schedule repeats the same events across
@@ -113,10 +261,10 @@ function buildEventsSection(events, mapMeta) {
       : `<div class="map-ev-icon-ph">⚡</div>`;
 
     return `
-      <div class="map-ev-card">
+      <a class="map-ev-card" href="#/event/${encodeURIComponent(nameToSlug(ev.name))}">
         <div class="map-ev-icon-wrap">${iconHtml}</div>
         <span class="map-ev-name">${esc(ev.name)}</span>
-      </div>`;
+      </a>`;
   }).join('');
 
   return `
@@ -165,20 +313,130 @@ function buildKeyLocationsSection(ardbItems, mapMeta) {
 }
 
 /**
- * "Items Found Here" — currently shows coming-soon because:
- *  - MetaForge loot_area values are zone categories (ARC, Electrical, etc.), not map-specific.
- *  - item-overrides.json has no mapExclusive entries yet.
- * Will populate as community overrides are added to item-overrides.json.
+ * "Items Found Here" — entries from mapItemIndex.js grouped by their first
+ * loot zone, each tagged with the sources that place it on this map.
+ * Items with no zone (mostly keys) are grouped last under "Other".
  */
-function buildItemsSection() {
-  return comingSoon('Items Found Here', '📦');
+function buildItemsSection(mapItems, mapMeta) {
+  if (!mapItems.length) {
+    return comingSoon('Items Found Here', '📦', 'No items are tied to this map yet');
+  }
+
+  const byZone = new Map();
+  for (const entry of mapItems) {
+    const zone = entry.zones[0] ?? 'Other';
+    if (!byZone.has(zone)) byZone.set(zone, []);
+    byZone.get(zone).push(entry);
+  }
+  const zones = [...byZone.keys()].sort((a, b) =>
+    (a === 'Other') - (b === 'Other') || a.localeCompare(b));
+
+  const groups = zones.map((zone) => {
+    const entries = byZone.get(zone);
+    const cls = ZONE_COLOR.get(zone.toLowerCase()) ?? 'zone-default';
+
+    const rows = entries.map((entry) => {
+      const iconHtml = entry.icon
+        ? `<img class="er-icon" src="${esc(entry.icon)}" alt="" loading="lazy"
+                onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+           <div class="er-icon-ph" style="display:none">📦</div>`
+        : `<div class="er-icon-ph">📦</div>`;
+      const alsoIn = entry.zones.length > 1
+        ? ` · also in ${entry.zones.slice(1).map(esc).join(', ')}`
+        : '';
+      const badges = entry.sources
+        .map((src) => `<span class="er-badge drop-source drop-source--${SOURCE_CLASS[src]}">${esc(src)}</span>`)
+        .join('');
+
+      return `
+        <div class="entity-row">
+          ${iconHtml}
+          <div class="er-info">
+            <div class="er-name">${entry.href ? `<a href="${esc(entry.href)}">${esc(entry.name)}</a>` : esc(entry.name)}</div>
+            <div class="er-sub">
+              ${entry.rarity ? `<span class="${rarityClass(entry.rarity)}">${esc(entry.rarity)}</span>` : ''}
+              ${entry.type ? `${entry.rarity ? ' · ' : ''}${esc(entry.type)}` : ''}${alsoIn}
+            </div>
+          </div>
+          ${badges}
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="map-item-zone">
+        <div class="map-item-zone-head">
+          <span class="loc-zone-badge ${cls}">${esc(zone)}</span>
+          <span class="map-group-count">${entries.length}</span>
+        </div>
+        <div class="entity-list">${rows}</div>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Items Found Here</div>
+      <p class="map-section-note">
+        Items placed on ${esc(mapMeta.name)} by MetaForge item locations, ARDB map data
+        (for items whose ARDB detail has been loaded) and community overrides.
+      </p>
+      ${groups}
+    </div>`;
 }
 
 /**
- * "Quests" — shows coming-soon because MetaForge quests have no map field.
+ * Renders the quests tied to this map, grouped by issuing trader.
+ * Each row notes whether the quest has pinned spots on the interactive map.
  */
-function buildQuestsSection() {
-  return comingSoon('Quests', '📜');
+function buildQuestsSection(questsHere, mapMeta) {
+  if (!questsHere.length) {
+    return comingSoon('Quests', '📜', 'No quests reference this map yet');
+  }
+
+  const byTrader = new Map();
+  for (const entry of questsHere) {
+    const trader = entry.quest.trader_name || 'Unknown trader';
+    if (!byTrader.has(trader)) byTrader.set(trader, []);
+    byTrader.get(trader).push(entry);
+  }
+
+  const groups = [...byTrader.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([trader, entries]) => {
+      const rows = entries.map(({ quest, spots }) => {
+        const iconHtml = quest.image
+          ? `<img class="er-icon" src="${esc(quest.image)}" alt="" loading="lazy"
+                  onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">
+             <div class="er-icon-ph" style="display:none">📜</div>`
+          : `<div class="er-icon-ph">📜</div>`;
+        const pinned = spots.length
+          ? `${spots.length} marked spot${spots.length === 1 ? '' : 's'} on the map`
+          : 'Location not pinned';
+        return `
+          <div class="entity-row">
+            ${iconHtml}
+            <div class="er-info">
+              <div class="er-name"><a href="#/quest/${encodeURIComponent(quest.id)}">${esc(quest.name)}</a></div>
+              <div class="er-sub">${pinned}</div>
+            </div>
+          </div>`;
+      }).join('');
+
+      return `
+        <div class="map-quest-group">
+          <div class="map-quest-trader">
+            <a href="#/trader/${encodeURIComponent(trader.toLowerCase())}">${esc(trader)}</a>
+            <span class="map-group-count">${entries.length}</span>
+          </div>
+          <div class="entity-list">${rows}</div>
+        </div>`;
+    }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Quests</div>
+      <p class="map-section-note">Quests with objectives on ${esc(mapMeta.name)}, by the trader who issues them.</p>
+      ${groups}
+    </div>`;
 }
 
 /** Contribute callout at the bottom of every map page. */
@@ -200,7 +458,7 @@ function buildContributeNote(mapMeta) {
 // MAIN EXPORT
 // ─────────────────────────────────────────────────────────────────────────────
 
-export async function renderMap(mapId, container) {
+export async function renderMap(mapId, container, { signal } = {}) {
   const mapMeta = MAP_META[mapId];
   if (!mapMeta) {
     container.innerHTML = `<div class="detail-not-found">Map "<strong>${esc(mapId)}</strong>" not found.</div>`;
@@ -209,13 +467,26 @@ export async function renderMap(mapId, container) {
 
   document.title = `${mapMeta.name} — RaiderPortal`;
 
-  const [eventsResult, ardbResult] = await Promise.allSettled([
-    fetchEventsSchedule(),
-    fetchArdbItems(),
+  const [eventsResult, ardbResult, enemiesResult, enemyRefResult, questsResult, itemIndexResult] = await Promise.allSettled([
+    fetchEventsSchedule({ signal }),
+    fetchArdbItems({ signal }),
+    fetchAllArdbEnemies({ signal }),
+    buildEnemyCrossRef({ signal }),
+    fetchQuests({ signal }),
+    buildMapItemIndex({ signal }),
   ]);
+  signal?.throwIfAborted(); // allSettled swallows the AbortError
 
   const events    = eventsResult.status === 'fulfilled' ? (eventsResult.value ?? []) : [];
   const ardbItems = ardbResult.status  === 'fulfilled' ? (ardbResult.value  ?? []) : [];
+  const enemies   = enemiesResult.status === 'fulfilled' ? (enemiesResult.value ?? []) : [];
+  const enemyRef  = enemyRefResult.status === 'fulfilled' ? enemyRefResult.value : null;
+  const quests    = questsResult.status === 'fulfilled' ? (questsResult.value ?? []) : [];
+  const mapItems  = itemIndexResult.status === 'fulfilled' ? (itemIndexResult.value.get(mapId) ?? []) : [];
+
+  const questsHere  = questsOnMap(quests, mapId);
+  const spawnLayers = collectSpawnLayers(mapId, enemies, enemyRef);
+  spawnLayers.groups.push(...collectQuestMarkers(mapId, questsHere, spawnLayers.layers));
 
   const breadcrumb = `
     <nav class="detail-breadcrumb" aria-label="Breadcrumb">
@@ -238,10 +509,14 @@ export async function renderMap(mapId, container) {
           <p class="map-hero-desc">${esc(mapMeta.desc)}</p>
         </div>
       </div>
+      ${buildTileMapSection(spawnLayers, mapMeta)}
       ${buildEventsSection(events, mapMeta)}
       ${buildKeyLocationsSection(ardbItems, mapMeta)}
-      ${buildItemsSection()}
-      ${buildQuestsSection()}
+      ${buildItemsSection(mapItems, mapMeta)}
+      ${buildQuestsSection(questsHere, mapMeta)}
       ${buildContributeNote(mapMeta)}
     </div>`;
+
+  const tileMapEl = container.querySelector('.tile-map');
+  if (tileMapEl) mountTileMap(tileMapEl, spawnLayers);
 }
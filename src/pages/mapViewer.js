@@ -0,0 +1,377 @@
+/**
+ * src/pages/mapViewer.js
+ *
+ * Dependency-free pan/zoom viewer for ARDB map tile pyramids, used by
+ * mapPage.js. Draws one tile layer at a time and plots toggleable groups of
+ * markers on top of it.
+ *
+ * Coordinate model (matches ARDB's `tileLayers` + `markers`):
+ *   • marker coordinates are pixels of the full-size image (`width`×`height`)
+ *   • the full-size image is the tile pyramid at zoom log2(width / tilesize)
+ *     (8192 / 512 → zoom 4); each zoom level below halves it
+ *   • above `maxNativeZoom` the deepest native tiles are scaled up
+ *
+ * Interaction: drag to pan (mouse, pen or one finger), wheel / double-click /
+ * pinch / the +− buttons to zoom around the pointer.
+ */
+
+import { ardbImg } from '../services/ardbApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Pinch distance ratio that triggers one zoom step. */
+const PINCH_STEP = 1.6;
+
+/** Pointer travel (px) below which a press counts as a click, not a drag. */
+const DRAG_THRESHOLD = 4;
+
+/**
+ * @typedef {Object} TileLayer  One entry of an ARDB map's `tileLayers`
+ * @property {string} id
+ * @property {string} name
+ * @property {number} width
+ * @property {number} height
+ * @property {number} tilesize
+ * @property {string} tileUrl        e.g. '/map-tiles/dam/{z}/{y}/{x}.webp'
+ * @property {number} minZoom
+ * @property {number} maxZoom
+ * @property {number} maxNativeZoom
+ */
+
+/**
+ * @typedef {Object} MarkerGroup  A toggleable set of markers
+ * @property {string} id
+ * @property {string} label
+ * @property {string} color     any CSS colour
+ * @property {'dot'|'diamond'} [shape]  marker glyph; defaults to 'dot'
+ * @property {Array<{ layerId: string, x: number, y: number, title: string, href?: string }>} markers
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// UTILITIES
+// ─────────────────────────────────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+/** Pyramid zoom at which the layer is drawn at full image size. */
+function fullZoom(layer) {
+  return Math.log2(layer.width / layer.tilesize);
+}
+
+function tileUrl(layer, z, x, y) {
+  return ardbImg(layer.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VIEWER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Mounts a viewer into `el`, replacing its contents.
+ *
+ * @param {HTMLElement}  el
+ * @param {{ layers: TileLayer[], groups: MarkerGroup[] }} opts
+ */
+export function mountTileMap(el, { layers, groups }) {
+  if (!layers?.length) return;
+
+  const hidden = new Set();  // group ids toggled off
+  let layer  = layers[0];
+  let zoom   = layer.minZoom;
+  let center = { x: layer.width / 2, y: layer.height / 2 }; // full-size image px
+
+  el.innerHTML = `
+    ${layers.length > 1 ? `
+      <div class="tm-layers" role="tablist">
+        ${layers.map((l, i) => `
+          <button class="tm-layer-btn${i === 0 ? ' active' : ''}" type="button" data-layer="${esc(l.id)}">${esc(l.name)}</button>`).join('')}
+      </div>` : ''}
+    <div class="tm-legend">
+      ${groups.map(g => `
+        <button class="tm-chip" type="button" data-group="${esc(g.id)}" aria-pressed="true" style="--marker-color:${esc(g.color)}">
+          <span class="tm-chip-dot${g.shape === 'diamond' ? ' tm-diamond' : ''}"></span>${esc(g.label)}
+          <span class="tm-chip-count"></span>
+        </button>`).join('')}
+    </div>
+    <div class="tm-viewport" tabindex="0" aria-label="Interactive map — drag to pan, scroll to zoom">
+      <div class="tm-pane">
+        <div class="tm-tiles"></div>
+        <div class="tm-markers"></div>
+      </div>
+      <div class="tm-controls">
+        <button class="tm-zoom-btn" type="button" data-zoom="1" aria-label="Zoom in">+</button>
+        <button class="tm-zoom-btn" type="button" data-zoom="-1" aria-label="Zoom out">−</button>
+      </div>
+    </div>`;
+
+  const viewport  = el.querySelector('.tm-viewport');
+  const pane      = el.querySelector('.tm-pane');
+  const tilesEl   = el.querySelector('.tm-tiles');
+  const markersEl = el.querySelector('.tm-markers');
+
+  /** @type {Map<string, HTMLImageElement>} 'z/x/y' → tile currently in the DOM */
+  const tiles = new Map();
+
+  const scale = () => 2 ** (zoom - fullZoom(layer));
+
+  // ── Fit: largest integer zoom at which the whole image fits ────────────
+  function fitZoom() {
+    const { clientWidth: vw, clientHeight: vh } = viewport;
+    let z = layer.minZoom;
+    while (z < layer.maxZoom) {
+      const s = 2 ** (z + 1 - fullZoom(layer));
+      if (layer.width * s > vw || layer.height * s > vh) break;
+      z++;
+    }
+    return z;
+  }
+
+  // ── Rendering ──────────────────────────────────────────────────────────
+
+  function drawTiles() {
+    const { clientWidth: vw, clientHeight: vh } = viewport;
+    const s      = scale();
+    const tileZ  = Math.min(zoom, layer.maxNativeZoom);
+    // Screen size of one tile of the tileZ pyramid at the current zoom
+    const tilePx = layer.tilesize * 2 ** (zoom - tileZ);
+    const cols   = Math.ceil((layer.width * s) / tilePx);
+    const rows   = Math.ceil((layer.height * s) / tilePx);
+
+    // World-pixel rect (at current zoom) covered by the viewport
+    const left = center.x * s - vw / 2;
+    const top  = center.y * s - vh / 2;
+    const x0 = clamp(Math.floor(left / tilePx), 0, cols - 1);
+    const x1 = clamp(Math.floor((left + vw) / tilePx), 0, cols - 1);
+    const y0 = clamp(Math.floor(top / tilePx), 0, rows - 1);
+    const y1 = clamp(Math.floor((top + vh) / tilePx), 0, rows - 1);
+
+    const wanted = new Set();
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const key = `${tileZ}/${x}/${y}`;
+        wanted.add(key);
+        let img = tiles.get(key);
+        if (!img) {
+          img = document.createElement('img');
+          img.className = 'tm-tile';
+          img.alt = '';
+          img.draggable = false;
+          img.onerror = () => { img.style.visibility = 'hidden'; };
+          img.src = tileUrl(layer, tileZ, x, y);
+          tiles.set(key, img);
+          tilesEl.appendChild(img);
+        }
+        Object.assign(img.style, {
+          left:   `${x * tilePx}px`,
+          top:    `${y * tilePx}px`,
+          width:  `${tilePx}px`,
+          height: `${tilePx}px`,
+        });
+      }
+    }
+    for (const [key, img] of tiles) {
+      if (!wanted.has(key)) { img.remove(); tiles.delete(key); }
+    }
+  }
+
+  function drawMarkers() {
+    const s = scale();
+    markersEl.innerHTML = groups.map(g => g.markers
+      .filter(m => m.layerId === layer.id)
+      .map(m => {
+        const tag = m.href ? 'a' : 'span';
+        return `<${tag} class="tm-marker${g.shape === 'diamond' ? ' tm-diamond' : ''}"${m.href ? ` href="${esc(m.href)}"` : ''}
+                  data-group="${esc(g.id)}" title="${esc(m.title)}"
+                  style="left:${m.x * s}px;top:${m.y * s}px;--marker-color:${esc(g.color)}"
+                  ${hidden.has(g.id) ? 'hidden' : ''}></${tag}>`;
+      }).join('')).join('');
+
+    for (const chip of el.querySelectorAll('.tm-chip')) {
+      const group = groups.find(g => g.id === chip.dataset.group);
+      chip.querySelector('.tm-chip-count').textContent =
+        String(group.markers.filter(m => m.layerId === layer.id).length);
+    }
+  }
+
+  function position() {
+    const { clientWidth: vw, clientHeight: vh } = viewport;
+    const s = scale();
+    // Keep the centre on the image so it can't be dragged out of view
+    center.x = clamp(center.x, 0, layer.width);
+    center.y = clamp(center.y, 0, layer.height);
+    pane.style.transform = `translate(${Math.round(vw / 2 - center.x * s)}px, ${Math.round(vh / 2 - center.y * s)}px)`;
+    drawTiles();
+  }
+
+  function render() {
+    position();
+    drawMarkers();
+  }
+
+  /** Zooms by `delta` levels, keeping the image point under (sx, sy) fixed. */
+  function zoomBy(delta, sx = viewport.clientWidth / 2, sy = viewport.clientHeight / 2) {
+    const next = clamp(zoom + delta, layer.minZoom, layer.maxZoom);
+    if (next === zoom) return;
+    const s0 = scale();
+    // Image point under the cursor
+    const px = center.x + (sx - viewport.clientWidth / 2) / s0;
+    const py = center.y + (sy - viewport.clientHeight / 2) / s0;
+    zoom = next;
+    const ratio = s0 / scale();
+    center = { x: px + (center.x - px) * ratio, y: py + (center.y - py) * ratio };
+    render();
+  }
+
+  // ── Pointer: drag to pan, two pointers to pinch ────────────────────────
+
+  /** @type {Map<number, { x: number, y: number }>} */
+  const pointers = new Map();
+  let dragStart = null;
+  let pinchDist = null;
+  /** Set when a drag ends, so the click that follows doesn't open a marker link. */
+  let suppressClick = false;
+
+  function localPoint(e) {
+    const rect = viewport.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  viewport.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('.tm-controls')) return;
+    suppressClick = false;
+    pointers.set(e.pointerId, localPoint(e));
+    if (pointers.size === 1) {
+      dragStart = { ...localPoint(e), center: { ...center }, moved: false };
+    } else if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      pinchDist = Math.hypot(a.x - b.x, a.y - b.y);
+      dragStart = null;
+    }
+  });
+
+  viewport.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    const p = localPoint(e);
+    pointers.set(e.pointerId, p);
+
+    if (pointers.size === 2 && pinchDist) {
+      const [a, b] = [...pointers.values()];
+      const dist = Math.hypot(a.x - b.x, a.y - b.y);
+      const ratio = dist / pinchDist;
+      if (ratio > PINCH_STEP || ratio < 1 / PINCH_STEP) {
+        zoomBy(ratio > 1 ? 1 : -1, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        pinchDist = dist;
+      }
+      return;
+    }
+
+    if (!dragStart) return;
+    const dx = p.x - dragStart.x;
+    const dy = p.y - dragStart.y;
+    if (!dragStart.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    if (!dragStart.moved) {
+      dragStart.moved = true;
+      viewport.setPointerCapture(e.pointerId);
+      viewport.classList.add('dragging');
+    }
+    const s = scale();
+    center = { x: dragStart.center.x - dx / s, y: dragStart.center.y - dy / s };
+    position();
+  });
+
+  const endPointer = (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinchDist = null;
+    if (!pointers.size) {
+      viewport.classList.remove('dragging');
+      suppressClick = Boolean(dragStart?.moved);
+      dragStart = null;
+    }
+  };
+  viewport.addEventListener('pointerup', endPointer);
+  viewport.addEventListener('pointercancel', endPointer);
+
+  // A drag that ends on a marker must not follow its link
+  viewport.addEventListener('click', (e) => {
+    if (suppressClick) e.preventDefault();
+    suppressClick = false;
+  }, { capture: true });
+
+  viewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const p = localPoint(e);
+    zoomBy(e.deltaY < 0 ? 1 : -1, p.x, p.y);
+  }, { passive: false });
+
+  viewport.addEventListener('dblclick', (e) => {
+    if (e.target.closest('.tm-marker, .tm-controls')) return;
+    const p = localPoint(e);
+    zoomBy(e.shiftKey ? -1 : 1, p.x, p.y);
+  });
+
+  viewport.addEventListener('keydown', (e) => {
+    const step = 128 / scale();
+    const moves = {
+      ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step],
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      center = { x: center.x + moves[e.key][0], y: center.y + moves[e.key][1] };
+      position();
+    } else if (e.key === '+' || e.key === '=') {
+      zoomBy(1);
+    } else if (e.key === '-') {
+      zoomBy(-1);
+    }
+  });
+
+  // ── Controls ───────────────────────────────────────────────────────────
+
+  for (const btn of el.querySelectorAll('.tm-zoom-btn')) {
+    btn.addEventListener('click', () => zoomBy(Number(btn.dataset.zoom)));
+  }
+
+  for (const chip of el.querySelectorAll('.tm-chip')) {
+    chip.addEventListener('click', () => {
+      const id = chip.dataset.group;
+      const on = hidden.has(id);
+      if (on) hidden.delete(id); else hidden.add(id);
+      chip.setAttribute('aria-pressed', String(on));
+      for (const m of markersEl.querySelectorAll('.tm-marker')) {
+        if (m.dataset.group === id) m.hidden = !on;
+      }
+    });
+  }
+
+  for (const btn of el.querySelectorAll('.tm-layer-btn')) {
+    btn.addEventListener('click', () => {
+      const next = layers.find(l => l.id === btn.dataset.layer);
+      if (!next || next === layer) return;
+      el.querySelectorAll('.tm-layer-btn').forEach(b => b.classList.toggle('active', b === btn));
+      layer = next;
+      tiles.forEach(img => img.remove());
+      tiles.clear();
+      zoom   = fitZoom();
+      center = { x: layer.width / 2, y: layer.height / 2 };
+      render();
+    });
+  }
+
+  // ── Resize — redraw tiles for the new viewport; stop once unmounted ────
+  const resizeObserver = new ResizeObserver(() => {
+    if (!viewport.isConnected) { resizeObserver.disconnect(); return; }
+    position();
+  });
+  resizeObserver.observe(viewport);
+
+  zoom = fitZoom();
+  render();
+}
@@ -3,6 +3,7 @@
  *
  * Renders the detail page for a single quest.
  * Sections: artwork, issued-by trader (linked), objectives,
+ * maps the quest takes you to (linked to #/map/:id),
  * granted items (pre-requisite items given to start),
  * required items (items you must bring), and rewards.
  */
@@ -27,6 +28,15 @@ function traderLink(name) {
   return `<a href="#/trader/${encodeURIComponent(name.toLowerCase())}">${esc(name)}</a>`;
 }
 
+// Map slug → display label (same slugs as the #/map/:id routes)
+const MAP_LABELS = {
+  'dam':           'Dam',
+  'buried-city':   'Buried City',
+  'blue-gate':     'Blue Gate',
+  'spaceport':     'Spaceport',
+  'stella-montis': 'Stella Montis',
+};
+
 function rarityClass(rarity) {
   return 'rarity-' + (rarity ?? 'common').toLowerCase().replace(/\s+/g, '-');
 }
@@ -66,10 +76,36 @@ function buildItemList(entries) {
   return `<div class="entity-list">${rows}</div>`;
 }
 
+// ─── Maps section ─────────────────────────────────────────────
+// Built from quest.locations — each entry names a map slug and either
+// x/y coordinates (pinned on the map page) or an opaque MetaForge POI id.
+
+function buildMapsSection(quest) {
+  const counts = new Map(); // slug → number of pinned spots
+  for (const loc of quest.locations ?? []) {
+    if (!MAP_LABELS[loc?.map]) continue;
+    const pinned = Number.isFinite(loc.x) && Number.isFinite(loc.y) ? 1 : 0;
+    counts.set(loc.map, (counts.get(loc.map) ?? 0) + pinned);
+  }
+  if (!counts.size) return '';
+
+  const badges = [...counts].map(([slug, spots]) => `
+    <a class="loc-map-badge loc-map--${slug}" href="#/map/${encodeURIComponent(slug)}"
+       title="${spots ? `${spots} marked spot${spots === 1 ? '' : 's'}` : 'Open map'}">
+      ${esc(MAP_LABELS[slug])}${spots ? ` · ${spots} ◆` : ''}
+    </a>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Maps</div>
+      <div class="loc-badge-group">${badges}</div>
+    </div>`;
+}
+
 // ─── Main export ──────────────────────────────────────────────
 
-export async function renderQuest(id, container) {
-  const quests = await fetchQuests();
+export async function renderQuest(id, container, { signal } = {}) {
+  const quests = await fetchQuests({ signal });
   const quest  = quests.find((q) => q.id === id);
 
   if (!quest) {
@@ -167,6 +203,7 @@ export async function renderQuest(id, container) {
       </div>
       <div class="detail-full">
         ${objectivesSection}
+        ${buildMapsSection(quest)}
         ${grantedSection}
         ${requiredSection}
         ${rewardsSection}
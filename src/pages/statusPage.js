@@ -0,0 +1,296 @@
+/**
+ * statusPage.js
+ *
+ * Renders the portal status page: live upstream probes from /api/health, the
+ * client-side cache state of every metaforgeApi cache key, the schema
+ * violations models.js found in this session's payloads, and MetaForge ↔ ARDB
+ * item-matching coverage. Answers "is this blank page our bug, or is
+ * MetaForge / ARDB down or changed?"
+ *
+ * Route: #/status
+ */
+
+import { CACHE_KEYS, getCacheStatus } from '../services/metaforgeApi.js';
+import { getSchemaReport } from '../services/models.js';
+import { buildArdbCrossRef } from '../services/ardbApi.js';
+
+const HEALTH_URL = '/api/health';
+
+// ─── Utilities ────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function breadcrumb(label) {
+  return `
+    <nav class="detail-breadcrumb" aria-label="Breadcrumb">
+      <a class="bc-link" href="#">Home</a>
+      <span class="bc-sep">›</span>
+      <span class="bc-current">${esc(label)}</span>
+    </nav>`;
+}
+
+/** "4m 12s" / "38s" / "1h 5m" */
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60)   return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+/** Status pill — tone is one of ok / warn / bad / idle. */
+function pill(label, tone) {
+  return `<span class="status-pill status-pill--${tone}">${esc(label)}</span>`;
+}
+
+// ─── Upstream health ───────────────────────────────────────────
+
+/**
+ * Fetches the /api/health report. Never throws — a failed request is itself
+ * a status result (our own function is down or unreachable).
+ *
+ * @returns {Promise<{ report: object|null, error: string|null }>}
+ */
+async function fetchHealth(signal) {
+  try {
+    const res = await fetch(HEALTH_URL, { headers: { Accept: 'application/json' }, cache: 'no-store', signal });
+    // 503 still carries a full report (every probe failed)
+    const report = await res.json();
+    return { report, error: null };
+  } catch (err) {
+    return { report: null, error: err.message };
+  }
+}
+
+function renderProbeRow(probe) {
+  const tone = probe.ok ? 'ok' : probe.httpStatus && probe.shape ? 'warn' : 'bad';
+  const label = probe.ok ? 'OK' : probe.shape && !probe.shape.ok ? 'Shape changed' : 'Failing';
+  return `
+    <div class="status-row">
+      <div class="status-row-main">
+        <div class="status-row-name">${esc(probe.id)}</div>
+        <div class="status-row-sub">${esc(probe.upstream)} ${esc(probe.path)}</div>
+        ${probe.error ? `<div class="status-row-error">${esc(probe.error)}</div>` : ''}
+      </div>
+      <div class="status-row-cells">
+        <span class="status-cell"><span class="status-cell-key">HTTP</span>${esc(probe.httpStatus ?? '—')}</span>
+        <span class="status-cell"><span class="status-cell-key">Latency</span>${probe.latencyMs != null ? `${probe.latencyMs} ms` : '—'}</span>
+        <span class="status-cell"><span class="status-cell-key">Records</span>${probe.records != null ? probe.records.toLocaleString() : '—'}</span>
+        ${pill(label, tone)}
+      </div>
+    </div>`;
+}
+
+function renderHealthSection({ report, error }) {
+  if (!report) {
+    return `
+      <div class="detail-section">
+        <div class="section-title">Upstream APIs</div>
+        <div class="status-banner status-banner--bad">
+          Could not reach ${esc(HEALTH_URL)} — ${esc(error)}.
+          The portal's own API functions are down or unreachable.
+        </div>
+      </div>`;
+  }
+
+  const overallTone = { ok: 'ok', degraded: 'warn', down: 'bad' }[report.status] ?? 'idle';
+  const breakers = Object.entries(report.breakers ?? {}).map(([name, b]) => `
+    <div class="kv-row">
+      <span class="kv-key">${esc(name)} circuit</span>
+      <span class="kv-val">
+        ${pill(b.state, b.state === 'closed' ? 'ok' : b.state === 'open' ? 'bad' : 'warn')}
+        ${b.failures ? ` ${b.failures} recent failure${b.failures !== 1 ? 's' : ''}` : ''}
+        ${b.retryAfterSec != null ? ` · retry in ${b.retryAfterSec}s` : ''}
+      </span>
+    </div>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Upstream APIs</div>
+      <div class="status-banner status-banner--${overallTone}">
+        ${pill(report.status, overallTone)}
+        Checked ${esc(new Date(report.checkedAt).toLocaleTimeString())}
+        ${report.fixtures ? ' · serving fixtures (PROXY_FIXTURES=1)' : ''}
+      </div>
+      <div class="status-list">
+        ${(report.probes ?? []).map(renderProbeRow).join('')}
+      </div>
+    </div>
+    <div class="detail-section">
+      <div class="section-title">Circuit breakers</div>
+      <div class="info-card">${breakers}</div>
+    </div>`;
+}
+
+// ─── Client cache ──────────────────────────────────────────────
+
+async function renderCacheSection() {
+  const statuses = await Promise.all(CACHE_KEYS.map(getCacheStatus));
+  const rows = CACHE_KEYS.map((key, i) => {
+    const st = statuses[i];
+    const tone  = st.cached ? 'ok' : st.cachedAt ? 'warn' : 'idle';
+    const label = st.cached ? 'Fresh' : st.cachedAt ? 'Expired' : 'Empty';
+    return `
+      <div class="status-row">
+        <div class="status-row-main">
+          <div class="status-row-name">${esc(key)}</div>
+          <div class="status-row-sub">
+            ${st.cachedAt ? `Cached ${esc(st.cachedAt.toLocaleTimeString())}` : 'Not cached'}
+          </div>
+        </div>
+        <div class="status-row-cells">
+          <span class="status-cell"><span class="status-cell-key">Age</span>${formatDuration(st.ageMs)}</span>
+          <span class="status-cell"><span class="status-cell-key">TTL</span>${formatDuration(st.ttlMs)}</span>
+          <span class="status-cell"><span class="status-cell-key">Expires in</span>${st.cached ? formatDuration(st.expiresInMs) : '—'}</span>
+          ${pill(label, tone)}
+        </div>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Client cache</div>
+      <div class="status-list">${rows}</div>
+    </div>`;
+}
+
+// ─── Schema report ─────────────────────────────────────────────
+
+function renderSchemaRow(entry) {
+  const tone  = entry.dropped ? 'bad' : entry.violations ? 'warn' : 'ok';
+  const label = entry.dropped ? 'Records dropped' : entry.violations ? 'Drift' : 'Valid';
+  const samples = entry.samples.map(v => `
+    <div class="status-row-error">
+      ${v.recordId ? `${esc(v.recordId)} · ` : ''}<code>${esc(v.field)}</code> — ${esc(v.problem)}
+    </div>`).join('');
+  const more = entry.violations - entry.samples.length;
+
+  return `
+    <div class="status-row">
+      <div class="status-row-main">
+        <div class="status-row-name">${esc(entry.source)}</div>
+        <div class="status-row-sub">Schema ${esc(entry.kind)} · checked ${esc(entry.checkedAt.toLocaleTimeString())}</div>
+        ${samples}
+        ${more > 0 ? `<div class="status-row-sub">…and ${more} more</div>` : ''}
+      </div>
+      <div class="status-row-cells">
+        <span class="status-cell"><span class="status-cell-key">Records</span>${entry.checked.toLocaleString()}</span>
+        <span class="status-cell"><span class="status-cell-key">Violations</span>${entry.violations.toLocaleString()}</span>
+        <span class="status-cell"><span class="status-cell-key">Dropped</span>${entry.dropped.toLocaleString()}</span>
+        ${pill(label, tone)}
+      </div>
+    </div>`;
+}
+
+function renderSchemaSection() {
+  const report = getSchemaReport();
+  const body = report.length
+    ? `<div class="status-list">${report.map(renderSchemaRow).join('')}</div>`
+    : `<p class="empty-note">No payloads fetched this session — cached data was validated when it was first downloaded.</p>`;
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">Payload schema</div>
+      ${body}
+    </div>`;
+}
+
+// ─── Item matching ─────────────────────────────────────────────
+
+/** Shown per unmatched list before truncating. */
+const MAX_UNMATCHED_SHOWN = 200;
+
+function entityList(entities) {
+  const shown = entities.slice(0, MAX_UNMATCHED_SHOWN).map(e => `
+    <li>${esc(e.name)} <span class="status-row-sub">${esc(e.id)}</span></li>`).join('');
+  const more = entities.length - MAX_UNMATCHED_SHOWN;
+  return `<ul class="status-entity-list">${shown}${more > 0 ? `<li>…and ${more} more</li>` : ''}</ul>`;
+}
+
+function renderMatchSection(crossRef, error) {
+  if (!crossRef) {
+    return `
+      <div class="detail-section">
+        <div class="section-title">MetaForge ↔ ARDB matching</div>
+        <p class="empty-note">Could not build the cross-reference — ${esc(error ?? 'unknown error')}.</p>
+      </div>`;
+  }
+
+  const { stats, ambiguous, unmatchedMf, unmatchedArdb } = crossRef;
+  const pct = stats.metaforge ? Math.round((stats.matched / stats.metaforge) * 100) : 0;
+  const methods = Object.entries(stats.byMethod)
+    .sort((a, b) => b[1] - a[1])
+    .map(([method, n]) => `${esc(method)} ${n}`)
+    .join(' · ');
+
+  const ambiguousRows = ambiguous.map(a => `
+    <div class="status-row">
+      <div class="status-row-main">
+        <div class="status-row-name">${esc(a.name)}</div>
+        <div class="status-row-sub">${a.side === 'ardb' ? 'ARDB' : 'MetaForge'} ${esc(a.id)} · ${esc(a.method)}</div>
+        <div class="status-row-error">
+          ${a.side === 'ardb' ? 'Claimed by' : 'Candidates'}: ${a.candidates.map(c => `${esc(c.name)} (${esc(c.id)})`).join(', ')}
+        </div>
+      </div>
+      <div class="status-row-cells">${pill('Ambiguous', 'warn')}</div>
+    </div>`).join('');
+
+  return `
+    <div class="detail-section">
+      <div class="section-title">MetaForge ↔ ARDB matching</div>
+      <div class="info-card">
+        <div class="kv-row"><span class="kv-key">MetaForge items matched</span><span class="kv-val">${stats.matched.toLocaleString()} / ${stats.metaforge.toLocaleString()} (${pct}%)</span></div>
+        <div class="kv-row"><span class="kv-key">ARDB items</span><span class="kv-val">${stats.ardb.toLocaleString()}</span></div>
+        <div class="kv-row"><span class="kv-key">Matched by</span><span class="kv-val">${methods || '—'}</span></div>
+        <div class="kv-row"><span class="kv-key">Ambiguous</span><span class="kv-val">${ambiguous.length}</span></div>
+      </div>
+      ${ambiguousRows ? `<div class="status-list">${ambiguousRows}</div>` : ''}
+      <details class="status-details">
+        <summary>Unmatched MetaForge items (${unmatchedMf.length})</summary>
+        ${entityList(unmatchedMf)}
+      </details>
+      <details class="status-details">
+        <summary>ARDB items without a MetaForge match (${unmatchedArdb.length})</summary>
+        ${entityList(unmatchedArdb)}
+      </details>
+      <p class="empty-note">Pin pairs the engine can't infer in src/data/ardb-match-overrides.json (MetaForge id → ARDB id, or null for none).</p>
+    </div>`;
+}
+
+// ─── Page ──────────────────────────────────────────────────────
+
+export async function renderStatus(container, { signal } = {}) {
+  document.title = 'Status — RaiderPortal';
+
+  let matchError = null;
+  const [health, cacheHtml, crossRef] = await Promise.all([
+    fetchHealth(signal),
+    renderCacheSection(),
+    buildArdbCrossRef({ signal }).catch((err) => { matchError = err.message; return null; }),
+  ]);
+  signal?.throwIfAborted(); // fetchHealth() and the cross-ref .catch() report failures instead of throwing
+
+  container.innerHTML = `
+    <div class="page-status">
+      <div class="detail-banner">
+        ${breadcrumb('Status')}
+        <div>
+          <h1 class="unified-title">Status</h1>
+          <p class="hero-sub" style="margin-top:6px">Upstream API health, payload schema, item matching and local cache state</p>
+        </div>
+      </div>
+      <div class="list-body detail-full">
+        ${renderHealthSection(health)}
+        ${renderSchemaSection()}
+        ${renderMatchSection(crossRef, matchError)}
+        ${cacheHtml}
+        <button class="status-refresh" type="button">Re-check</button>
+      </div>
+    </div>`;
+
+  container.querySelector('.status-refresh')?.addEventListener('click', () => renderStatus(container, { signal }));
+}
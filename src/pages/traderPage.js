@@ -6,7 +6,7 @@
  * Inventory items are cross-linked to their item detail pages.
  */
 
-import { fetchTraders } from '../services/metaforgeApi.js';
+import { fetchTraders, onDataChanged } from '../services/metaforgeApi.js';
 import { normalizeBaseName, nameToSlug } from '../services/searchIndex.js';
 
 // ─── Utilities ────────────────────────────────────────────────
@@ -42,10 +42,26 @@ function rarityClass(rarity) {
 
 // ─── Main export ──────────────────────────────────────────────
 
-export async function renderTrader(id, container) {
+export async function renderTrader(id, container, { signal } = {}) {
   // id is lowercase trader name (e.g. "apollo")
-  const tradersData = await fetchTraders();
+  // Stale inventory renders instantly; fresh prices re-render the page in place
+  const tradersData = await fetchTraders({ staleWhileRevalidate: true, signal });
+  paintTrader(id, tradersData, container);
+
+  let pageEl = container.querySelector('.page-trader');
+  if (!pageEl) return; // not found — nothing to keep fresh
+
+  const unsubscribe = onDataChanged('traders', (freshData) => {
+    if (!pageEl.isConnected) { unsubscribe(); return; } // navigated away
+    const scrollEl = container.closest('.detail-view');
+    const scrollTop = scrollEl?.scrollTop;
+    paintTrader(id, freshData, container);
+    pageEl = container.querySelector('.page-trader') ?? pageEl;
+    if (scrollEl) scrollEl.scrollTop = scrollTop;
+  });
+}
 
+function paintTrader(id, tradersData, container) {
   // Match case-insensitively against the keys (Apollo, Celeste, etc.)
   const traderName = Object.keys(tradersData).find(
     (name) => name.toLowerCase() === id.toLowerCase()
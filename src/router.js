@@ -10,14 +10,21 @@
  *   #/quests         → listPages.js (quests listing)
  *   #/arc            → listPages.js (ARC listing)
  *   #/traders        → listPages.js (traders listing)
- *   #/events         → listPages.js (events placeholder)
+ *   #/events         → eventsPage.js (live schedule + timeline)
+ *   #/status         → statusPage.js (upstream health + cache state)
  *   #/item/:id       → itemPage.js
  *   #/arc/:id        → arcPage.js
  *   #/quest/:id      → questPage.js
  *   #/trader/:id     → traderPage.js
  *   #/map/:id        → mapPage.js
+ *   #/event/:slug    → eventPage.js
+ *   #/compare/:a,:b  → comparePage.js (item ids or base slugs)
  *
  * Anything else → shows the landing page.
+ *
+ * Renderers are called as (id, container, { signal }) or (container, { signal });
+ * the AbortSignal fires when the user navigates away, so pages pass it to
+ * their service calls and bail out instead of painting a stale view.
  */
 
 import { renderItemGroup } from './pages/itemPage.js';
@@ -25,22 +32,27 @@ import { renderQuest }     from './pages/questPage.js';
 import { renderArc }       from './pages/arcPage.js';
 import { renderTrader }    from './pages/traderPage.js';
 import { renderMap }       from './pages/mapPage.js';
+import { renderStatus }    from './pages/statusPage.js';
+import { renderEvents }    from './pages/eventsPage.js';
+import { renderEvent }     from './pages/eventPage.js';
+import { renderCompare }   from './pages/comparePage.js';
 import {
   renderItemsList,
   renderQuestsList,
   renderArcsList,
   renderTradersList,
-  renderEventsList,
   renderMapsList,
 } from './pages/listPages.js';
 
 /** Detail routes — require an :id segment. */
 const RENDERERS = {
-  item:   renderItemGroup,
-  arc:    renderArc,
-  quest:  renderQuest,
-  trader: renderTrader,
-  map:    renderMap,
+  item:    renderItemGroup,
+  arc:     renderArc,
+  quest:   renderQuest,
+  trader:  renderTrader,
+  map:     renderMap,
+  event:   renderEvent,
+  compare: renderCompare,
 };
 
 /** Listing routes — no :id segment, one per nav category. */
@@ -49,15 +61,16 @@ const LIST_RENDERERS = {
   quests:  renderQuestsList,
   arc:     renderArcsList,
   traders: renderTradersList,
-  events:  renderEventsList,
+  events:  renderEvents,
   maps:    renderMapsList,
+  status:  renderStatus,
 };
 
 /** Matches detail-page hashes: #/item/:id, #/arc/:id, #/map/:id, etc. */
-const ROUTE_RE = /^#\/(item|arc|quest|trader|map)\/(.+)$/;
+const ROUTE_RE = /^#\/(item|arc|quest|trader|map|event|compare)\/(.+)$/;
 
-/** Matches listing-page hashes: #/items, #/quests, #/arc, #/traders, #/events, #/maps. */
-const LIST_RE  = /^#\/(items|quests|arc|traders|events|maps)$/;
+/** Matches listing-page hashes: #/items, #/quests, #/arc, #/traders, #/events, #/maps, #/status. */
+const LIST_RE  = /^#\/(items|quests|arc|traders|events|maps|status)$/;
 
 const DEFAULT_TITLE = 'RaiderPortal — ARC Raiders Database';
 
@@ -69,11 +82,20 @@ function escHtml(s) {
 /** Suppress slide animation on direct URL loads (first paint). */
 let _initialLoad = true;
 
+/** Aborts the previous route's in-flight loads when the user navigates. */
+let _routeController = null;
+
 /**
  * Reads `window.location.hash`, shows the appropriate view, and calls the
  * matching renderer. Called on hashchange and on initial page load.
  */
 async function handleRoute() {
+  // Cancel whatever the previous route was still loading
+  _routeController?.abort();
+  const controller = new AbortController();
+  _routeController = controller;
+  const { signal } = controller;
+
   const body    = document.body;
   const content = document.getElementById('detailContent');
   const detail  = document.getElementById('detailView');
@@ -116,12 +138,14 @@ async function handleRoute() {
     if (detailMatch) {
       const [, type, rawId] = detailMatch;
       const id = decodeURIComponent(rawId);
-      await RENDERERS[type](id, content);
+      await RENDERERS[type](id, content, { signal });
     } else {
       const [, listType] = listMatch;
-      await LIST_RENDERERS[listType](content);
+      await LIST_RENDERERS[listType](content, { signal });
     }
   } catch (err) {
+    // Superseded by a newer navigation — that route owns the view now
+    if (signal.aborted) return;
     console.error('[router]', hash, err);
     content.innerHTML = `
       <div class="detail-error">
@@ -7,8 +7,16 @@
  * Docs:        https://ardb.app/developers/api
  * Attribution: https://ardb.app
  * Image base:  https://ardb.app/static (relative icon paths are prepended with https://ardb.app)
+ *
+ * Every payload is validated and normalized by models.js before it is cached
+ * (notably: ARDB's lowercase rarities become "Epic" etc., as in MetaForge).
  */
 
+import { cacheGet, cachePeekMany, cacheSet } from './cacheStore.js';
+import { validateArdbItems, validateArdbItem, validateArdbEnemies, validateArdbEnemy } from './models.js';
+import { fetchItems, fetchArcs, onDataChanged } from './metaforgeApi.js';
+import { matchItems } from './itemMatching.js';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTANTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -16,7 +24,7 @@
 const ARDB_BASE  = '/api/ardb';
 const ARDB_IMAGE = 'https://ardb.app';
 
-const LIST_CACHE_KEY = 'rp_ardb_items';
+const LIST_CACHE_KEY = 'ardb:items';
 const LIST_CACHE_TTL = 30 * 60 * 1000; // 30 min
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -36,6 +44,26 @@ export function ardbImg(path) {
   return ARDB_IMAGE + (path.startsWith('/') ? '' : '/') + path;
 }
 
+/**
+ * Races a shared in-flight promise against one caller's AbortSignal, so an
+ * aborting caller rejects with AbortError without cancelling the request
+ * other callers are still waiting on.
+ *
+ * @template T
+ * @param {Promise<T>}  promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ITEMS LIST  (all 483 items — list subset only)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -47,29 +75,26 @@ let _listPromise = null;
 
 /**
  * Fetches the full ARDB items list (all items, list-subset shape).
- * Cached in localStorage for 30 minutes; safe to call multiple times.
+ * Cached in the shared store for 30 minutes; safe to call multiple times.
+ * Concurrent callers share one request; aborting `signal` only abandons
+ * this caller's wait.
  *
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {{ forceRefresh?: boolean, signal?: AbortSignal }} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchArdbItems({ forceRefresh = false } = {}) {
+export async function fetchArdbItems({ forceRefresh = false, signal } = {}) {
   if (!forceRefresh && _listCache) return _listCache;
-  if (!forceRefresh && _listPromise) return _listPromise;
+  if (!forceRefresh && _listPromise) return abortable(_listPromise, signal);
 
-  _listPromise = (async () => {
-    // Try localStorage first
+  // Cleared once settled — on failure too, so the next call retries
+  const promise = (async () => {
+    // Try the persistent cache first
     if (!forceRefresh) {
-      try {
-        const raw = localStorage.getItem(LIST_CACHE_KEY);
-        if (raw) {
-          const { data, at } = JSON.parse(raw);
-          if (Date.now() - at < LIST_CACHE_TTL) {
-            _listCache = data;
-            _listPromise = null;
-            return _listCache;
-          }
-        }
-      } catch { /* ignore parse/quota errors */ }
+      const hit = await cacheGet(LIST_CACHE_KEY);
+      if (hit) {
+        _listCache = hit.data;
+        return _listCache;
+      }
     }
 
     console.log('[ARDB] Fetching items list...');
@@ -78,91 +103,142 @@ export async function fetchArdbItems({ forceRefresh = false } = {}) {
     });
     if (!res.ok) throw new Error(`ARDB /items returned HTTP ${res.status}`);
 
-    const data = await res.json();
-    _listCache = Array.isArray(data) ? data : [];
+    _listCache = validateArdbItems(await res.json());
+    _crossRef  = null;
     console.log(`[ARDB] ${_listCache.length} items loaded.`);
+    await cacheSet(LIST_CACHE_KEY, _listCache, LIST_CACHE_TTL);
 
-    try {
-      localStorage.setItem(LIST_CACHE_KEY, JSON.stringify({ data: _listCache, at: Date.now() }));
-    } catch { /* quota exceeded — in-memory cache still works */ }
-
-    _listPromise = null;
     return _listCache;
-  })();
+  })().finally(() => { if (_listPromise === promise) _listPromise = null; });
 
-  return _listPromise;
+  _listPromise = promise;
+  return abortable(promise, signal);
+}
+
+/**
+ * Primes the items-list cache with an already-fetched list (e.g. the
+ * `ardbItems` dataset of the /api/snapshot bundle).
+ *
+ * @param {object[]} items  ARDB list-subset items
+ * @returns {Promise<boolean>} true if the cache was written
+ */
+export async function hydrateArdbItems(items) {
+  if (!Array.isArray(items)) return false;
+  _listCache = validateArdbItems(items);
+  _crossRef  = null;
+  await cacheSet(LIST_CACHE_KEY, _listCache, LIST_CACHE_TTL);
+  return true;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // ITEM DETAIL  (single item — full shape with crafting, recycling, sources, etc.)
 // ─────────────────────────────────────────────────────────────────────────────
 
-/** @type {Map<string, object>} ardbId → full detail object */
-const _detailCache = new Map();
+const ITEM_DETAIL_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
 
 /**
  * Fetches the full ARDB detail for a single item by ARDB id.
- * Cached in-memory per session.
+ * Persisted in the shared store for 6 hours (LRU-evicted under pressure).
  *
  * @param {string} ardbId   e.g. "adrenaline_shot"
+ * @param {{ signal?: AbortSignal }} [opts]
  * @returns {Promise<object>}
  */
-export async function fetchArdbItem(ardbId) {
-  if (_detailCache.has(ardbId)) return _detailCache.get(ardbId);
+export async function fetchArdbItem(ardbId, { signal } = {}) {
+  const cacheKey = `ardb:item:${ardbId}`;
+  const hit = await cacheGet(cacheKey);
+  signal?.throwIfAborted();
+  if (hit) return hit.data;
 
   const res = await fetch(`${ARDB_BASE}/items/${encodeURIComponent(ardbId)}`, {
     headers: { Accept: 'application/json' },
+    signal,
   });
   if (!res.ok) throw new Error(`ARDB /items/${ardbId} returned HTTP ${res.status}`);
 
-  const data = await res.json();
-  _detailCache.set(ardbId, data);
+  const data = validateArdbItem(await res.json());
+  if (!data) throw new Error(`ARDB /items/${ardbId} returned an unrecognized payload (see #/status)`);
+  await cacheSet(cacheKey, data, ITEM_DETAIL_CACHE_TTL);
   return data;
 }
 
+/**
+ * ARDB item details already in the store — expired or not — without any
+ * network traffic or LRU bookkeeping. Used by indexes that can't afford a
+ * detail request per item (ARDB's list endpoint omits `maps`, `sources`, …),
+ * so coverage grows as item pages are visited.
+ *
+ * @param {string[]} ardbIds
+ * @returns {Promise<object[]>}  details for the ids that were cached
+ */
+export async function peekCachedArdbItems(ardbIds) {
+  const entries = await cachePeekMany(ardbIds.map((id) => `ardb:item:${id}`));
+  return entries.filter(Boolean).map((entry) => entry.data);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
-// CROSS-REFERENCE  (MetaForge item name → ARDB list item)
+// CROSS-REFERENCE  (MetaForge item → ARDB list item, via itemMatching.js)
 // ─────────────────────────────────────────────────────────────────────────────
 
-/** @type {Map<string, object>|null}  lowerCaseName → ardb list item */
+/** Hand-maintained MetaForge id → ARDB id pairs the engine can't infer. */
+const MATCH_OVERRIDES_URL = '/src/data/ardb-match-overrides.json';
+
+/** @type {import('./itemMatching.js').MatchResult|null} */
 let _crossRef        = null;
-/** @type {Promise<Map>|null} */
+/** @type {Promise<import('./itemMatching.js').MatchResult>|null} */
 let _crossRefPromise = null;
 
+// Rebuild after MetaForge items / ARCs change (background refresh, snapshot)
+onDataChanged('items', () => { _crossRef = null; });
+onDataChanged('arcs',  () => { _enemyRef = null; });
+
+async function loadMatchOverrides() {
+  try {
+    const res = await fetch(MATCH_OVERRIDES_URL);
+    return res.ok ? await res.json() : {};
+  } catch (err) {
+    console.warn('[ARDB] Could not load ardb-match-overrides.json:', err.message);
+    return {};
+  }
+}
+
 /**
- * Builds and caches a Map<lowerCaseName, ardbListItem> from the ARDB items list.
- * Safe to call multiple times — builds only once per session.
+ * Matches every MetaForge item to its ARDB list item (see itemMatching.js)
+ * and caches the result for the session. Also carries the unmatched /
+ * ambiguous report shown on #/status.
  *
- * @returns {Promise<Map<string, object>>}
+ * @param {{ signal?: AbortSignal }} [opts]  Abandons this caller's wait only
+ * @returns {Promise<import('./itemMatching.js').MatchResult>}
  */
-export async function buildArdbCrossRef() {
+export async function buildArdbCrossRef({ signal } = {}) {
   if (_crossRef) return _crossRef;
-  if (_crossRefPromise) return _crossRefPromise;
-
-  _crossRefPromise = fetchArdbItems().then((items) => {
-    _crossRef = new Map();
-    for (const item of items) {
-      if (item.name) _crossRef.set(item.name.trim().toLowerCase(), item);
-    }
-    console.log(`[ARDB] Cross-ref built: ${_crossRef.size} names indexed.`);
-    _crossRefPromise = null;
-    return _crossRef;
-  });
-
-  return _crossRefPromise;
+  if (_crossRefPromise) return abortable(_crossRefPromise, signal);
+
+  _crossRefPromise = Promise.all([fetchItems(), fetchArdbItems(), loadMatchOverrides()])
+    .then(([mfItems, ardbItems, overrides]) => {
+      _crossRef = matchItems(mfItems, ardbItems, overrides);
+      const { stats, ambiguous, unmatchedMf, unmatchedArdb } = _crossRef;
+      console.log(
+        `[ARDB] Cross-ref built: ${stats.matched}/${stats.metaforge} MetaForge items matched` +
+        ` (${unmatchedMf.length} unmatched, ${unmatchedArdb.length} ARDB-only, ${ambiguous.length} ambiguous).`
+      );
+      return _crossRef;
+    })
+    .finally(() => { _crossRefPromise = null; });
+
+  return abortable(_crossRefPromise, signal);
 }
 
 /**
- * Look up an ARDB list item by a display name (case-insensitive).
- * Returns the ARDB list-item object (with `.id` field) or null if not found.
+ * The ARDB list item matched to a MetaForge item, or null.
  *
- * @param {string} name         MetaForge item display name
- * @param {Map}    crossRef     The map returned by buildArdbCrossRef()
+ * @param {object} mfItem    MetaForge item (needs `.id`)
+ * @param {import('./itemMatching.js').MatchResult} crossRef  From buildArdbCrossRef()
  * @returns {object|null}
  */
-export function lookupArdbByName(name, crossRef) {
-  if (!crossRef || !name) return null;
-  return crossRef.get(name.trim().toLowerCase()) ?? null;
+export function lookupArdbItem(mfItem, crossRef) {
+  if (!crossRef || !mfItem?.id) return null;
+  return crossRef.byMfId.get(mfItem.id)?.ardb ?? null;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -190,8 +266,9 @@ export function lookupArdbByName(name, crossRef) {
  *   shredder          → Stella Montis only
  */
 
-const ENEMIES_CACHE_KEY = 'rp_ardb_enemies';
+const ENEMIES_CACHE_KEY = 'ardb:enemies';
 const ENEMIES_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const ENEMY_DETAIL_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
 
 /** @type {object[]|null} */
 let _enemiesCache   = null;
@@ -200,28 +277,24 @@ let _enemiesPromise = null;
 
 /**
  * Fetches the ARDB arc-enemies list.
- * Cached in localStorage for 1 hour.
+ * Cached in the shared store for 1 hour. Concurrent callers share one
+ * request; aborting `signal` only abandons this caller's wait.
  *
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {{ forceRefresh?: boolean, signal?: AbortSignal }} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchArdbEnemies({ forceRefresh = false } = {}) {
+export async function fetchArdbEnemies({ forceRefresh = false, signal } = {}) {
   if (!forceRefresh && _enemiesCache) return _enemiesCache;
-  if (!forceRefresh && _enemiesPromise) return _enemiesPromise;
+  if (!forceRefresh && _enemiesPromise) return abortable(_enemiesPromise, signal);
 
-  _enemiesPromise = (async () => {
+  // Cleared once settled — on failure too, so the next call retries
+  const promise = (async () => {
     if (!forceRefresh) {
-      try {
-        const raw = localStorage.getItem(ENEMIES_CACHE_KEY);
-        if (raw) {
-          const { data, at } = JSON.parse(raw);
-          if (Date.now() - at < ENEMIES_CACHE_TTL) {
-            _enemiesCache = data;
-            _enemiesPromise = null;
-            return _enemiesCache;
-          }
-        }
-      } catch { /* ignore */ }
+      const hit = await cacheGet(ENEMIES_CACHE_KEY);
+      if (hit) {
+        _enemiesCache = hit.data;
+        return _enemiesCache;
+      }
     }
 
     console.log('[ARDB] Fetching arc-enemies list...');
@@ -230,41 +303,123 @@ export async function fetchArdbEnemies({ forceRefresh = false } = {}) {
     });
     if (!res.ok) throw new Error(`ARDB /arc-enemies returned HTTP ${res.status}`);
 
-    const data = await res.json();
-    _enemiesCache = Array.isArray(data) ? data : [];
+    _enemiesCache = validateArdbEnemies(await res.json());
+    _enemyRef     = null;
     console.log(`[ARDB] ${_enemiesCache.length} enemies loaded.`);
+    await cacheSet(ENEMIES_CACHE_KEY, _enemiesCache, ENEMIES_CACHE_TTL);
 
-    try {
-      localStorage.setItem(ENEMIES_CACHE_KEY, JSON.stringify({ data: _enemiesCache, at: Date.now() }));
-    } catch { /* quota exceeded */ }
-
-    _enemiesPromise = null;
     return _enemiesCache;
-  })();
+  })().finally(() => { if (_enemiesPromise === promise) _enemiesPromise = null; });
 
-  return _enemiesPromise;
+  _enemiesPromise = promise;
+  return abortable(promise, signal);
 }
 
-/** @type {Map<string, object>}  enemyId → full detail */
-const _enemyDetailCache = new Map();
-
 /**
  * Fetches full detail for a single ARC enemy by id.
  * Includes dropTable, relatedMaps, markers, relatedLocationTypes.
- * Cached in-memory per session.
+ * Persisted in the shared store for 6 hours (LRU-evicted under pressure).
  *
  * @param {string} enemyId   e.g. "tick", "queen"
+ * @param {{ signal?: AbortSignal }} [opts]
  * @returns {Promise<object>}
  */
-export async function fetchArdbEnemy(enemyId) {
-  if (_enemyDetailCache.has(enemyId)) return _enemyDetailCache.get(enemyId);
+export async function fetchArdbEnemy(enemyId, { signal } = {}) {
+  const cacheKey = `ardb:enemy:${enemyId}`;
+  const hit = await cacheGet(cacheKey);
+  signal?.throwIfAborted();
+  if (hit) return hit.data;
 
   const res = await fetch(`${ARDB_BASE}/arc-enemies/${encodeURIComponent(enemyId)}`, {
     headers: { Accept: 'application/json' },
+    signal,
   });
   if (!res.ok) throw new Error(`ARDB /arc-enemies/${enemyId} returned HTTP ${res.status}`);
 
-  const data = await res.json();
-  _enemyDetailCache.set(enemyId, data);
+  const data = validateArdbEnemy(await res.json());
+  if (!data) throw new Error(`ARDB /arc-enemies/${enemyId} returned an unrecognized payload (see #/status)`);
+  await cacheSet(cacheKey, data, ENEMY_DETAIL_CACHE_TTL);
   return data;
 }
+
+/** Enemy details fetched at a time by fetchAllArdbEnemies(). */
+const ENEMY_DETAIL_CONCURRENCY = 4;
+
+/**
+ * Fetches the full detail of every ARDB arc-enemy (markers, relatedMaps…),
+ * ENEMY_DETAIL_CONCURRENCY at a time. Each detail is cached like a single
+ * fetchArdbEnemy() call, so after the first visit this resolves from cache.
+ * Enemies whose detail fails to load are skipped.
+ *
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<object[]>}  enemy details, in list order
+ */
+export async function fetchAllArdbEnemies({ signal } = {}) {
+  const enemies = await fetchArdbEnemies({ signal });
+  const details = new Array(enemies.length).fill(null);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < enemies.length) {
+      const i = next++;
+      try {
+        details[i] = await fetchArdbEnemy(enemies[i].id, { signal });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[ARDB] Could not load enemy "${enemies[i].id}":`, err.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(ENEMY_DETAIL_CONCURRENCY, enemies.length) }, worker));
+  return details.filter(Boolean);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENEMY CROSS-REFERENCE  (MetaForge ARC → ARDB arc-enemy)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {import('./itemMatching.js').MatchResult|null} */
+let _enemyRef        = null;
+/** @type {Promise<import('./itemMatching.js').MatchResult>|null} */
+let _enemyRefPromise = null;
+
+/**
+ * Matches every MetaForge ARC to its ARDB arc-enemy and caches the result for
+ * the session. Uses the item-matching engine: ARC names carry no tiers, so
+ * pairs resolve by id ("tick") or, where the ids differ, by display name
+ * (MetaForge "bison" ↔ ARDB "leaper", both "Leaper").
+ *
+ * @param {{ signal?: AbortSignal }} [opts]  Abandons this caller's wait only
+ * @returns {Promise<import('./itemMatching.js').MatchResult>}
+ */
+export async function buildEnemyCrossRef({ signal } = {}) {
+  if (_enemyRef) return _enemyRef;
+  if (_enemyRefPromise) return abortable(_enemyRefPromise, signal);
+
+  _enemyRefPromise = Promise.all([fetchArcs(), fetchArdbEnemies()])
+    .then(([arcs, enemies]) => {
+      _enemyRef = matchItems(arcs, enemies);
+      const { stats, unmatchedMf, unmatchedArdb } = _enemyRef;
+      console.log(
+        `[ARDB] Enemy cross-ref built: ${stats.matched}/${stats.metaforge} ARCs matched` +
+        (unmatchedMf.length ? ` — no ARDB enemy for ${unmatchedMf.map(a => a.id).join(', ')}` : '') +
+        (unmatchedArdb.length ? ` — ARDB-only: ${unmatchedArdb.map(e => e.id).join(', ')}` : '') + '.'
+      );
+      return _enemyRef;
+    })
+    .finally(() => { _enemyRefPromise = null; });
+
+  return abortable(_enemyRefPromise, signal);
+}
+
+/**
+ * The ARDB arc-enemy list entry matched to a MetaForge ARC, or null.
+ *
+ * @param {object} arc       MetaForge ARC (needs `.id`)
+ * @param {import('./itemMatching.js').MatchResult} enemyRef  From buildEnemyCrossRef()
+ * @returns {object|null}
+ */
+export function lookupArdbEnemy(arc, enemyRef) {
+  if (!enemyRef || !arc?.id) return null;
+  return enemyRef.byMfId.get(arc.id)?.ardb ?? null;
+}
@@ -0,0 +1,319 @@
+/**
+ * src/services/cacheStore.js
+ *
+ * Persistent TTL cache shared by metaforgeApi.js and ardbApi.js, backed by
+ * IndexedDB (one object store, structured-clone values — no JSON strings).
+ *
+ * Semantics match the old per-service localStorage caches: every entry is
+ * stored with the TTL it was written with, and reads only return it while
+ * `age <= ttl`. Additionally:
+ *   • entries track `lastAccess`; when a write hits the storage quota, the
+ *     least-recently-used entries are evicted and the write is retried
+ *   • the store is capped at MAX_ENTRIES so per-id detail caches (ARDB
+ *     items / enemies) can persist across sessions without growing forever
+ *   • an in-memory mirror serves repeat reads within a session and is the
+ *     whole store when IndexedDB is unavailable (private mode, old browsers)
+ *
+ * Values come back by reference: repeat reads from the mirror return the
+ * same object to every caller (unlike the old JSON.parse copies), so treat
+ * results as read-only — copy before sorting or editing them in place.
+ *
+ * Keys are namespaced by the caller, e.g. 'mf:items', 'ardb:item:<id>'.
+ * Entries left behind by the previous localStorage caches are removed the
+ * first time the database opens.
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DB_NAME    = 'raiderportal';
+const DB_VERSION = 1;
+const STORE      = 'cache';
+
+/** Upper bound on stored entries; least-recently-used ones beyond it are evicted. */
+const MAX_ENTRIES = 400;
+
+/** Entries evicted per retry when a write exceeds the quota. */
+const QUOTA_EVICT_BATCH = 20;
+const QUOTA_RETRIES     = 3;
+
+/** Reads refresh `lastAccess` at most this often per entry (avoids rewriting large values). */
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/** localStorage prefixes used by the caches this module replaced. */
+const LEGACY_PREFIXES = ['rp_mf_', 'rp_ardb_'];
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key
+ * @property {*}      data
+ * @property {number} cachedAt    epoch ms when written
+ * @property {number} ttl         lifetime in ms
+ * @property {number} lastAccess  epoch ms of the last read or write (LRU order)
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INDEXEDDB PLUMBING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let _dbPromise = null;
+
+function removeLegacyLocalStorage() {
+  try {
+    Object.keys(localStorage)
+      .filter(k => LEGACY_PREFIXES.some(p => k.startsWith(p)))
+      .forEach(k => localStorage.removeItem(k));
+  } catch { /* localStorage unavailable — nothing to clean */ }
+}
+
+/**
+ * Opens (or creates) the database. Resolves null when IndexedDB can't be
+ * used, in which case the module runs on the in-memory mirror alone.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+  if (_dbPromise) return _dbPromise;
+
+  _dbPromise = new Promise((resolve) => {
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch {
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('lastAccess', 'lastAccess');
+    };
+    req.onsuccess = () => {
+      removeLegacyLocalStorage();
+      resolve(req.result);
+    };
+    req.onerror = () => {
+      console.warn('[cacheStore] IndexedDB unavailable — using in-memory cache only:', req.error?.message);
+      resolve(null);
+    };
+  });
+
+  return _dbPromise;
+}
+
+/**
+ * Runs `fn(store)` in a transaction and resolves with the result of the
+ * request it returns (if any) once the transaction commits.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} fn
+ * @returns {Promise<*>}  undefined when IndexedDB is unavailable
+ */
+async function run(mode, fn) {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Deletes up to `count` least-recently-used entries, never `keepKey`.
+ *
+ * @returns {Promise<number>} number of entries removed
+ */
+async function evictLru(count, keepKey) {
+  let removed = 0;
+  await run('readwrite', (store) => {
+    const cursorReq = store.index('lastAccess').openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || removed >= count) return;
+      if (cursor.primaryKey !== keepKey) {
+        cursor.delete();
+        _memory.delete(cursor.primaryKey);
+        removed++;
+      }
+      cursor.continue();
+    };
+  });
+  return removed;
+}
+
+/** Trims the store back to MAX_ENTRIES after a write. */
+async function enforceLimit(keepKey) {
+  const total = await run('readonly', store => store.count());
+  if (total > MAX_ENTRIES) await evictLru(total - MAX_ENTRIES, keepKey);
+}
+
+function isQuotaError(err) {
+  return err instanceof DOMException && err.name === 'QuotaExceededError';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IN-MEMORY MIRROR  (Map insertion order doubles as LRU order)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, CacheEntry>} */
+const _memory = new Map();
+
+function remember(entry) {
+  _memory.delete(entry.key);
+  _memory.set(entry.key, entry);
+  if (_memory.size > MAX_ENTRIES) _memory.delete(_memory.keys().next().value);
+}
+
+/** Reads an entry from the mirror, falling back to IndexedDB. */
+async function readEntry(key) {
+  if (_memory.has(key)) return _memory.get(key);
+  try {
+    const entry = await run('readonly', store => store.get(key));
+    if (entry) remember(entry);
+    return entry ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the cached value for `key` if it is still within its TTL.
+ * `data` is shared with other readers — don't mutate it.
+ *
+ * @param {string} key
+ * @returns {Promise<{ data: *, ageMs: number }|null>}
+ */
+export async function cacheGet(key) {
+  const entry = await readEntry(key);
+  if (!entry) return null;
+
+  const now   = Date.now();
+  const ageMs = now - entry.cachedAt;
+  if (ageMs > entry.ttl) return null;
+
+  if (now - entry.lastAccess > TOUCH_INTERVAL_MS) {
+    entry.lastAccess = now;
+    remember(entry);
+    run('readwrite', store => store.put(entry)).catch(() => { /* LRU hint only */ });
+  }
+  return { data: entry.data, ageMs };
+}
+
+/**
+ * Returns the raw entry for `key` — expired or not — without touching its
+ * LRU position: neither `lastAccess` nor the in-memory mirror changes, so
+ * peeking every key (getCacheStatus) can't evict entries in use.
+ * For status/diagnostic displays.
+ *
+ * @param {string} key
+ * @returns {Promise<CacheEntry|null>}
+ */
+export async function cachePeek(key) {
+  if (_memory.has(key)) return _memory.get(key);
+  try {
+    return (await run('readonly', store => store.get(key))) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * cachePeek() for many keys at once: the in-memory mirror first, then the
+ * rest in a single IndexedDB transaction. Entries read here are not added to
+ * the mirror, so a bulk scan can't push out what the session actually uses.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<Array<CacheEntry|null>>}  in `keys` order
+ */
+export async function cachePeekMany(keys) {
+  const found   = new Map();
+  const missing = [];
+  for (const key of keys) {
+    if (_memory.has(key)) found.set(key, _memory.get(key));
+    else missing.push(key);
+  }
+
+  if (missing.length) {
+    try {
+      await run('readonly', (store) => {
+        for (const key of missing) {
+          const req = store.get(key);
+          req.onsuccess = () => { if (req.result) found.set(key, req.result); };
+        }
+      });
+    } catch { /* storage unavailable — the mirror is all there is */ }
+  }
+  return keys.map((key) => found.get(key) ?? null);
+}
+
+/**
+ * Stores `data` under `key` for `ttl` ms. Under quota pressure the
+ * least-recently-used entries are evicted and the write retried; if it
+ * still fails the value lives in memory for the rest of the session.
+ *
+ * @param {string} key
+ * @param {*}      data  Any structured-cloneable value
+ * @param {number} ttl
+ * @returns {Promise<void>}
+ */
+export async function cacheSet(key, data, ttl) {
+  const now   = Date.now();
+  const entry = { key, data, cachedAt: now, ttl, lastAccess: now };
+  remember(entry);
+
+  for (let attempt = 0; attempt <= QUOTA_RETRIES; attempt++) {
+    try {
+      await run('readwrite', store => store.put(entry));
+      await enforceLimit(key);
+      return;
+    } catch (err) {
+      if (!isQuotaError(err)) {
+        console.warn(`[cacheStore] Could not persist ${key}:`, err?.message ?? err);
+        return;
+      }
+      const removed = await evictLru(QUOTA_EVICT_BATCH, key);
+      if (!removed) break;
+      console.warn(`[cacheStore] Quota exceeded writing ${key} — evicted ${removed} LRU entries.`);
+    }
+  }
+  console.warn(`[cacheStore] ${key} kept in memory only (storage quota exhausted).`);
+}
+
+/**
+ * Removes one entry.
+ *
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function cacheDelete(key) {
+  _memory.delete(key);
+  try {
+    await run('readwrite', store => store.delete(key));
+  } catch { /* already gone or storage unavailable */ }
+}
+
+/**
+ * Removes every entry whose key starts with `prefix` (all entries when empty).
+ *
+ * @param {string} [prefix]
+ * @returns {Promise<void>}
+ */
+export async function cacheClear(prefix = '') {
+  for (const key of [..._memory.keys()]) {
+    if (key.startsWith(prefix)) _memory.delete(key);
+  }
+  try {
+    await run('readwrite', (store) => {
+      if (!prefix) return store.clear();
+      // '\uffff' sorts after every real key character, bounding the prefix range
+      return store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+    });
+  } catch { /* storage unavailable */ }
+}
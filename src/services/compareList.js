@@ -0,0 +1,48 @@
+/**
+ * src/services/compareList.js
+ *
+ * The item comparison tray behind #/compare/:idA,:idB[,…]. Search results
+ * and item pages add MetaForge item ids to it; the compare page keeps it in
+ * sync with its URL, so "add to compare" always extends the last comparison.
+ * Stored in localStorage, capped at MAX_COMPARE items (oldest dropped first).
+ */
+
+const STORAGE_KEY = 'rp_compare';
+
+export const MAX_COMPARE = 4;
+
+/** @returns {string[]} MetaForge item ids, oldest first */
+export function getCompareList() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Replaces the tray (deduplicated, capped). */
+export function setCompareList(ids) {
+  const list = [...new Set(ids)].slice(-MAX_COMPARE);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    console.warn('[compare] Could not save the comparison:', err.message);
+  }
+  return list;
+}
+
+/**
+ * Adds an item to the tray; re-adding moves it to the end.
+ *
+ * @param {string} id  MetaForge item id
+ * @returns {string[]} the updated tray
+ */
+export function addToCompare(id) {
+  return setCompareList([...getCompareList().filter((x) => x !== id), id]);
+}
+
+/** Route for a comparison of `ids`. */
+export function compareHref(ids) {
+  return `#/compare/${ids.map(encodeURIComponent).join(',')}`;
+}
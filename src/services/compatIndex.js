@@ -0,0 +1,82 @@
+/**
+ * src/services/compatIndex.js
+ *
+ * Reverse weapon ↔ attachment compatibility: for every mod, the weapons it
+ * fits. ARDB only records the forward direction — a weapon detail's
+ * `compatibleWith` lists its attachments — and its list endpoint omits the
+ * field, so the index fetches the detail of every weapon (the ARDB items
+ * matched to MetaForge "Weapon" items) and inverts those lists.
+ *
+ * Details are fetched WEAPON_DETAIL_CONCURRENCY at a time and cached 6h by
+ * fetchArdbItem(), so after the first build this resolves from cache.
+ * Weapons whose detail fails to load are skipped.
+ */
+
+import { fetchItems } from './metaforgeApi.js';
+import { buildArdbCrossRef, lookupArdbItem, fetchArdbItem } from './ardbApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Weapon details fetched at a time while building the index. */
+const WEAPON_DETAIL_CONCURRENCY = 4;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INDEX
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the mod → weapons index.
+ *
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Map<string, object[]>>}  mod ARDB id → ARDB weapon list
+ *   items ({ id, name, icon, rarity, type, value }), sorted by name
+ */
+export async function buildCompatIndex({ signal } = {}) {
+  const [items, crossRef] = await Promise.all([
+    fetchItems({ signal }),
+    buildArdbCrossRef({ signal }),
+  ]);
+
+  const weaponIds = [...new Set(items
+    .filter((item) => item.item_type === 'Weapon')
+    .map((item) => lookupArdbItem(item, crossRef)?.id)
+    .filter(Boolean))];
+
+  const details = new Array(weaponIds.length).fill(null);
+  let next = 0;
+  const worker = async () => {
+    while (next < weaponIds.length) {
+      const i = next++;
+      try {
+        details[i] = await fetchArdbItem(weaponIds[i], { signal });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[ARDB] Could not load weapon "${weaponIds[i]}":`, err.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(WEAPON_DETAIL_CONCURRENCY, weaponIds.length) }, worker));
+
+  const index = new Map();
+  for (const weapon of details) {
+    if (!weapon) continue;
+    const ref = {
+      id:     weapon.id,
+      name:   weapon.name,
+      icon:   weapon.icon ?? null,
+      rarity: weapon.rarity ?? null,
+      type:   weapon.type ?? null,
+      value:  weapon.value ?? null,
+    };
+    for (const mod of weapon.compatibleWith ?? []) {
+      if (!mod?.id) continue;
+      const fits = index.get(mod.id) ?? [];
+      if (!fits.some((w) => w.id === ref.id)) fits.push(ref);
+      index.set(mod.id, fits);
+    }
+  }
+  for (const fits of index.values()) fits.sort((a, b) => a.name.localeCompare(b.name));
+  return index;
+}
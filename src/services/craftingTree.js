@@ -0,0 +1,147 @@
+/**
+ * src/services/craftingTree.js
+ *
+ * Recursive crafting trees from ARDB recipes. An item's
+ * `craftingRequirement.requiredItems` only lists direct ingredients; each
+ * ingredient's own recipe lives on its ARDB detail, so the tree is resolved
+ * one fetchArdbItem() per distinct ingredient (cached 6h by ardbApi.js).
+ *
+ * Quantities are per one craft of the root item. A sub-recipe that outputs
+ * several units is crafted ceil(needed / outputAmount) times, so the bill
+ * can include a little surplus. Items already on the path from the root are
+ * not expanded again (cycle), nor is anything below MAX_DEPTH.
+ */
+
+import { fetchArdbItem } from './ardbApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Levels below the root that are expanded — ARDB chains stop well short. */
+const MAX_DEPTH = 6;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CraftNode
+ * @property {string}      id        ARDB item id
+ * @property {string}      name
+ * @property {string|null} icon      ARDB image path — pass through ardbImg()
+ * @property {number|null} value     base value of one unit
+ * @property {number}      qty       units needed for one craft of the root
+ * @property {{ station: {id: string, tier: number}|null, outputAmount: number, crafts: number }|null} recipe
+ *                                   null for raw materials
+ * @property {CraftNode[]} children
+ * @property {boolean}     cycle     already on the path from the root; not expanded
+ * @property {boolean}     truncated deeper than MAX_DEPTH; not expanded
+ * @property {string|null} error     detail could not be loaded; treated as raw
+ */
+
+/**
+ * @typedef {Object} RawMaterial
+ * @property {string}      id
+ * @property {string}      name
+ * @property {string|null} icon
+ * @property {number}      qty
+ * @property {number|null} unitValue
+ * @property {number}      totalValue
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TREE
+// ─────────────────────────────────────────────────────────────────────────────
+
+function leaf(ref, qty, flags = {}) {
+  return {
+    id:        ref.id,
+    name:      ref.name ?? ref.id,
+    icon:      ref.icon ?? null,
+    value:     ref.value ?? null,
+    qty,
+    recipe:    null,
+    children:  [],
+    cycle:     false,
+    truncated: false,
+    error:     null,
+    ...flags,
+  };
+}
+
+/**
+ * Resolves the full crafting tree below an ARDB item detail.
+ *
+ * @param {object} ardbDetail  full ARDB item detail (fetchArdbItem)
+ * @param {{ signal?: AbortSignal, maxDepth?: number, details?: Map<string, Promise<object>> }} [opts]
+ *   `details` memoises ingredient lookups; pass the same Map to several
+ *   builds (e.g. every tier of an item) to share requests between them.
+ * @returns {Promise<CraftNode|null>}  null when the item has no recipe
+ */
+export async function buildCraftingTree(ardbDetail, { signal, maxDepth = MAX_DEPTH, details = new Map() } = {}) {
+  if (!ardbDetail?.craftingRequirement?.requiredItems?.length) return null;
+
+  function load(id) {
+    if (!details.has(id)) details.set(id, fetchArdbItem(id, { signal }));
+    return details.get(id);
+  }
+
+  async function expand(ref, detail, qty, path, depth) {
+    const cr = detail?.craftingRequirement;
+    if (!cr?.requiredItems?.length) return leaf(ref, qty);
+
+    const outputAmount = cr.outputAmount > 0 ? cr.outputAmount : 1;
+    const crafts = Math.ceil(qty / outputAmount);
+    const inner  = new Set(path).add(ref.id);
+
+    const children = await Promise.all(cr.requiredItems
+      .filter((ri) => ri?.item?.id)
+      .map(async ({ item: ing, amount }) => {
+        const need = crafts * (amount ?? 1);
+        if (inner.has(ing.id))  return leaf(ing, need, { cycle: true });
+        if (depth >= maxDepth)  return leaf(ing, need, { truncated: true });
+        let ingDetail;
+        try {
+          ingDetail = await load(ing.id);
+        } catch (err) {
+          signal?.throwIfAborted();
+          return leaf(ing, need, { error: err.message });
+        }
+        return expand(ing, ingDetail, need, inner, depth + 1);
+      }));
+
+    return {
+      ...leaf(ref, qty),
+      recipe: { station: cr.station ?? null, outputAmount, crafts },
+      children,
+    };
+  }
+
+  return expand(ardbDetail, ardbDetail, 1, new Set(), 0);
+}
+
+/**
+ * Flattens a tree into its raw materials — every node that is not crafted
+ * further — summed by item, most valuable first.
+ *
+ * @param {CraftNode} tree
+ * @returns {{ materials: RawMaterial[], totalValue: number }}
+ */
+export function rawMaterials(tree) {
+  const byId = new Map();
+  (function walk(node) {
+    for (const child of node.children) {
+      if (child.children.length) { walk(child); continue; }
+      const m = byId.get(child.id)
+        ?? { id: child.id, name: child.name, icon: child.icon, qty: 0, unitValue: child.value, totalValue: 0 };
+      m.qty += child.qty;
+      m.totalValue = m.qty * (m.unitValue ?? 0);
+      byId.set(child.id, m);
+    }
+  })(tree);
+
+  const materials = [...byId.values()]
+    .sort((a, b) => b.totalValue - a.totalValue || a.name.localeCompare(b.name));
+  return { materials, totalValue: materials.reduce((sum, m) => sum + m.totalValue, 0) };
+}
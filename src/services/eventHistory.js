@@ -0,0 +1,197 @@
+/**
+ * src/services/eventHistory.js
+ *
+ * Local history of the MetaForge events schedule. /events-schedule only
+ * returns a rolling window of upcoming slots, so every schedule this browser
+ * sees is merged into a persisted slot list (deduplicated by name, map and
+ * start). Frequency, duration and gap stats on #/event/:slug are computed
+ * from it and grow more representative the longer the site is used.
+ *
+ * Stored in the shared cacheStore under HISTORY_KEY; slots older than
+ * HISTORY_DAYS are pruned on every write.
+ */
+
+import { cacheGet, cacheSet } from './cacheStore.js';
+import { fetchEventsSchedule, onDataChanged } from './metaforgeApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const HISTORY_KEY  = 'events:history';
+const HISTORY_DAYS = 90;
+const DAY_MS       = 24 * 60 * 60 * 1000;
+
+/** Stored TTL — longer than the retention window so pruning decides, not expiry. */
+const HISTORY_TTL  = (HISTORY_DAYS + 30) * DAY_MS;
+
+/** How often the app-wide recorder re-reads the (cached) schedule. */
+const RECORD_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} HistorySlot
+ * @property {string} name
+ * @property {string} map
+ * @property {number} startTime
+ * @property {number} endTime
+ */
+
+/**
+ * @typedef {Object} EventHistory
+ * @property {HistorySlot[]} slots      sorted by startTime
+ * @property {number|null}   firstSeen  epoch ms of the first recorded snapshot
+ * @property {number}        snapshots  schedules merged so far that added new slots
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STORAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+const slotKey = (s) => `${s.name}|${s.map}|${s.startTime}`;
+
+/** @returns {Promise<EventHistory>} */
+export async function loadEventHistory() {
+  const hit = await cacheGet(HISTORY_KEY);
+  return hit?.data ?? { slots: [], firstSeen: null, snapshots: 0 };
+}
+
+/** Serialises writes so concurrent recorders can't drop each other's slots. */
+let _writing = Promise.resolve();
+
+/**
+ * Merges a schedule into the stored history. Re-reading a schedule whose
+ * slots are all known already (the 5-minute timer, revisits) changes
+ * nothing and is not counted as a snapshot.
+ *
+ * @param {HistorySlot[]} events  /events-schedule slots
+ * @returns {Promise<EventHistory>}
+ */
+export function recordSchedule(events) {
+  const job = _writing.then(async () => {
+    const history = await loadEventHistory();
+    const cutoff  = Date.now() - HISTORY_DAYS * DAY_MS;
+    const byKey   = new Map(history.slots.map((s) => [slotKey(s), s]));
+    let added = 0, updated = 0;
+    for (const { name, map, startTime, endTime } of events ?? []) {
+      const key  = slotKey({ name, map, startTime });
+      const prev = byKey.get(key);
+      if (!prev) added++;
+      else if (prev.endTime !== endTime) updated++;
+      byKey.set(key, { name, map, startTime, endTime });
+    }
+
+    const slots = [...byKey.values()]
+      .filter((s) => s.endTime >= cutoff)
+      .sort((a, b) => a.startTime - b.startTime);
+    if (!added && !updated && slots.length === history.slots.length) return history;
+
+    const next = {
+      slots,
+      firstSeen: history.firstSeen ?? Date.now(),
+      snapshots: history.snapshots + (added ? 1 : 0),
+    };
+    await cacheSet(HISTORY_KEY, next, HISTORY_TTL);
+    return next;
+  });
+  _writing = job.catch(() => {});
+  return job;
+}
+
+let _timer = null;
+
+/**
+ * Records the schedule at boot, whenever it changes, and every
+ * RECORD_INTERVAL_MS while the app is open. Call once; later calls are ignored.
+ */
+export function startEventHistory() {
+  if (_timer) return;
+  const record = () => fetchEventsSchedule({ staleWhileRevalidate: true })
+    .then(recordSchedule)
+    .catch((err) => console.warn('[eventHistory] Could not record the schedule:', err.message));
+  _timer = setInterval(record, RECORD_INTERVAL_MS);
+  onDataChanged('eventsSchedule', (fresh) => { recordSchedule(fresh).catch(() => {}); });
+  record();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STATS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Gaps between consecutive starts, in ms (slots must be sorted by start). */
+function gaps(slots) {
+  const out = [];
+  for (let i = 1; i < slots.length; i++) out.push(slots[i].startTime - slots[i - 1].startTime);
+  return out;
+}
+
+/**
+ * @typedef {Object} MapRotation
+ * @property {string}      map
+ * @property {number}      occurrences
+ * @property {number|null} medianGapMs   between consecutive starts on this map
+ * @property {number|null} lastStart     most recent start at or before now
+ * @property {number|null} nextStart     next start after now
+ */
+
+/**
+ * @typedef {Object} EventStats
+ * @property {number}        occurrences
+ * @property {number|null}   observedFrom     first recorded slot start
+ * @property {number|null}   observedTo       last recorded slot end
+ * @property {number|null}   perDay           occurrences per day over the observed span
+ * @property {number|null}   medianDurationMs
+ * @property {number|null}   medianGapMs      between consecutive starts on any map
+ * @property {MapRotation[]} maps             most frequent first
+ */
+
+/**
+ * Frequency, duration and rotation stats for one event name.
+ *
+ * @param {HistorySlot[]} slots  history slots for this event
+ * @param {number} [now]
+ * @returns {EventStats}
+ */
+export function computeEventStats(slots, now = Date.now()) {
+  slots = [...slots].sort((a, b) => a.startTime - b.startTime);
+  if (!slots.length) {
+    return { occurrences: 0, observedFrom: null, observedTo: null, perDay: null,
+      medianDurationMs: null, medianGapMs: null, maps: [] };
+  }
+
+  const observedFrom = slots[0].startTime;
+  const observedTo   = Math.max(...slots.map((s) => s.endTime));
+  const spanDays     = (observedTo - observedFrom) / DAY_MS;
+
+  // Distinct start times — the same event running on two maps at once is one "occurrence" for gaps
+  const starts = [...new Set(slots.map((s) => s.startTime))].map((startTime) => ({ startTime }));
+
+  const byMap = new Map();
+  for (const s of slots) {
+    if (!byMap.has(s.map)) byMap.set(s.map, []);
+    byMap.get(s.map).push(s);
+  }
+  const maps = [...byMap.entries()].map(([map, list]) => ({
+    map,
+    occurrences: list.length,
+    medianGapMs: median(gaps(list)),
+    lastStart:   list.filter((s) => s.startTime <= now).at(-1)?.startTime ?? null,
+    nextStart:   list.find((s) => s.startTime > now)?.startTime ?? null,
+  })).sort((a, b) => b.occurrences - a.occurrences || a.map.localeCompare(b.map));
+
+  return {
+    occurrences:      slots.length,
+    observedFrom,
+    observedTo,
+    perDay:           spanDays >= 1 ? slots.length / spanDays : null,
+    medianDurationMs: median(slots.map((s) => s.endTime - s.startTime)),
+    medianGapMs:      median(gaps(starts)),
+    maps,
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * src/services/eventReminders.js
+ *
+ * Event reminders and calendar export for the MetaForge events schedule.
+ *
+ * Reminders are rules — an event name and/or a map plus a lead time — kept
+ * in localStorage. While any RaiderPortal tab is open, startEventReminders()
+ * checks the schedule every CHECK_INTERVAL_MS and raises a Notification API
+ * alert once per matching slot when it is within the lead time. Slots that
+ * were already announced are remembered, so reloads don't repeat alerts.
+ *
+ * buildIcs() / downloadIcs() turn a list of schedule slots into an
+ * iCalendar file (RFC 5545) with one VEVENT per slot.
+ */
+
+import { fetchEventsSchedule, onDataChanged } from './metaforgeApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const STORAGE_KEY       = 'rp_event_reminders';
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+export const DEFAULT_LEAD_MINUTES = 10;
+
+/** Fired on document whenever the saved rules change. */
+export const REMINDERS_CHANGED_EVENT = 'rp:remindersChanged';
+
+/**
+ * @typedef {Object} ReminderRule
+ * @property {string}      id
+ * @property {string|null} name         event name, or null for any event
+ * @property {string|null} map          event map name ("Dam"), or null for any map
+ * @property {number}      leadMinutes  how long before the start to alert
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STORAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @returns {{ rules: ReminderRule[], notified: Object<string, number> }} */
+function readState() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return {
+      rules:    Array.isArray(raw?.rules) ? raw.rules : [],
+      notified: raw?.notified && typeof raw.notified === 'object' ? raw.notified : {},
+    };
+  } catch {
+    return { rules: [], notified: {} };
+  }
+}
+
+function writeState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.warn('[reminders] Could not save reminders:', err.message);
+  }
+}
+
+/** @returns {ReminderRule[]} */
+export function getReminderRules() {
+  return readState().rules;
+}
+
+/**
+ * Saves a rule. At least one of `name` / `map` is required; an identical
+ * rule (same name, map and lead time) is not added twice.
+ *
+ * @param {{ name?: string|null, map?: string|null, leadMinutes?: number }} rule
+ * @returns {ReminderRule}
+ */
+export function addReminderRule({ name = null, map = null, leadMinutes = DEFAULT_LEAD_MINUTES }) {
+  if (!name && !map) throw new Error('A reminder needs an event name or a map');
+  const lead  = Math.max(0, Math.round(Number(leadMinutes) || 0));
+  const state = readState();
+  const existing = state.rules.find((r) => r.name === name && r.map === map && r.leadMinutes === lead);
+  if (existing) return existing;
+
+  const rule = { id: `r${Date.now().toString(36)}`, name, map, leadMinutes: lead };
+  state.rules.push(rule);
+  writeState(state);
+  document.dispatchEvent(new CustomEvent(REMINDERS_CHANGED_EVENT));
+  checkReminders();
+  return rule;
+}
+
+export function removeReminderRule(id) {
+  const state = readState();
+  state.rules = state.rules.filter((r) => r.id !== id);
+  writeState(state);
+  document.dispatchEvent(new CustomEvent(REMINDERS_CHANGED_EVENT));
+}
+
+/** Whether a schedule slot matches a rule (null fields match anything). */
+export function matchesRule(ev, rule) {
+  return (!rule.name || ev.name === rule.name) && (!rule.map || ev.map === rule.map);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOTIFICATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** 'granted' | 'denied' | 'default' | 'unsupported' */
+export function notificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/** Asks for permission if it hasn't been decided yet; resolves to the result. */
+export async function requestNotificationPermission() {
+  if (notificationPermission() !== 'default') return notificationPermission();
+  return Notification.requestPermission();
+}
+
+function slotKey(ev) {
+  return `${ev.name}|${ev.map}|${ev.startTime}`;
+}
+
+function notify(ev) {
+  const minutes = Math.max(0, Math.round((ev.startTime - Date.now()) / 60000));
+  const at = new Date(ev.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const n = new Notification(`${ev.name} — ${ev.map}`, {
+    body: minutes ? `Starts in ${minutes} min (${at})` : `Starting now (${at})`,
+    icon: ev.icon ?? undefined,
+    tag:  slotKey(ev), // a second tab replaces rather than duplicates the alert
+  });
+  n.onclick = () => {
+    window.focus();
+    window.location.hash = '#/events';
+    n.close();
+  };
+}
+
+/** In-flight check — overlapping calls share it so a slot is never announced twice. */
+let _checking = null;
+
+/**
+ * Raises alerts for every slot that is inside a rule's lead window and has
+ * not been announced yet. Safe to call at any time; a no-op without rules
+ * or without notification permission.
+ *
+ * @returns {Promise<void>}
+ */
+export function checkReminders() {
+  _checking ??= runCheck().finally(() => { _checking = null; });
+  return _checking;
+}
+
+async function runCheck() {
+  if (!readState().rules.length || notificationPermission() !== 'granted') return;
+
+  let events;
+  try {
+    events = await fetchEventsSchedule({ staleWhileRevalidate: true });
+  } catch (err) {
+    console.warn('[reminders] Could not load the events schedule:', err.message);
+    return;
+  }
+
+  // Re-read: rules may have changed while the schedule was loading
+  const latest = readState();
+  const now = Date.now();
+  // Forget slots that have started — keeps the stored map small
+  for (const [key, start] of Object.entries(latest.notified)) {
+    if (start <= now) delete latest.notified[key];
+  }
+
+  for (const ev of events) {
+    if (ev.startTime <= now || latest.notified[slotKey(ev)]) continue;
+    const due = latest.rules.some((rule) =>
+      matchesRule(ev, rule) && ev.startTime - rule.leadMinutes * 60000 <= now);
+    if (!due) continue;
+    try {
+      notify(ev);
+      latest.notified[slotKey(ev)] = ev.startTime;
+    } catch (err) {
+      console.warn('[reminders] Notification failed:', err.message);
+    }
+  }
+  writeState(latest);
+}
+
+let _timer = null;
+
+/**
+ * Starts the app-wide reminder loop. Call once at boot; later calls are
+ * ignored. Also re-checks as soon as the schedule changes.
+ */
+export function startEventReminders() {
+  if (_timer) return;
+  _timer = setInterval(checkReminders, CHECK_INTERVAL_MS);
+  onDataChanged('eventsSchedule', () => { checkReminders(); });
+  checkReminders();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ICALENDAR EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** 20260301T140000Z */
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** Escapes TEXT values: backslash, semicolon, comma and newlines. */
+function icsText(s) {
+  return String(s ?? '')
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Folds a content line to 75 octets, continuation lines start with a space. */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes   = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    const limit = parts.length ? 74 : 75; // the leading space counts on continuations
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes   = 0;
+    }
+    current += ch;
+    bytes   += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function uidPart(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Builds an iCalendar document with one VEVENT per schedule slot. With
+ * `alarmMinutes`, each event also carries a display alarm that many minutes
+ * before its start.
+ *
+ * @param {Array<{ name: string, map: string, startTime: number, endTime: number }>} events
+ * @param {{ calendarName?: string, alarmMinutes?: number|null }} [opts]
+ * @returns {string}
+ */
+export function buildIcs(events, { calendarName = 'ARC Raiders events', alarmMinutes = null } = {}) {
+  const stamp = icsDate(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//RaiderPortal//Events schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+  ];
+
+  for (const ev of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${ev.startTime}-${uidPart(ev.name)}-${uidPart(ev.map)}@raiderportal`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(ev.startTime)}`,
+      `DTEND:${icsDate(ev.endTime)}`,
+      `SUMMARY:${icsText(`${ev.name} — ${ev.map}`)}`,
+      `LOCATION:${icsText(ev.map)}`,
+      `DESCRIPTION:${icsText(`ARC Raiders event "${ev.name}" on ${ev.map}.`)}`,
+    );
+    if (alarmMinutes != null) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${icsText(`${ev.name} on ${ev.map}`)}`,
+        `TRIGGER:-PT${Math.max(0, Math.round(alarmMinutes))}M`,
+        'END:VALARM',
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/** Saves buildIcs() output as a download. */
+export function downloadIcs(events, filename = 'arc-raiders-events.ics', opts) {
+  const blob = new Blob([buildIcs(events, opts)], { type: 'text/calendar;charset=utf-8' });
+  const url  = URL.createObjectURL(blob);
+  const a    = Object.assign(document.createElement('a'), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,296 @@
+/**
+ * src/services/itemGraph.js
+ *
+ * Reverse item graph: every known use and every known source of each item,
+ * behind the "Uses & Sources" panel of #/item/:slug.
+ *
+ * Built from:
+ *   • MetaForge — quest `required_items` (use), quest `rewards` /
+ *                 `granted_items` (source), ARC `loot` (source), trader
+ *                 inventories (source)
+ *   • ARDB      — enemy drop tables (source) and every item detail already
+ *                 in the cache, see peekCachedArdbItems(): recipes (use of
+ *                 each ingredient, source of the output), `breaksInto` (use
+ *                 of the item, source of each output) and the detail's own
+ *                 `usedInCraft`, `obtainedFrom`, `droppedBy`,
+ *                 `requiredForQuests` and `requiredForStation` lists
+ *
+ * Nodes are keyed by MetaForge item id; ARDB items are folded onto their
+ * matched MetaForge items via the cross-reference, and ARDB items with no
+ * match keep an 'ardb:<id>' key. Coverage of the ARDB-only edges grows as
+ * item pages are visited, like mapItemIndex.js.
+ */
+
+import { fetchItems, fetchArcs, fetchQuests, fetchTraders } from './metaforgeApi.js';
+import {
+  fetchArdbItems,
+  buildArdbCrossRef,
+  peekCachedArdbItems,
+  fetchAllArdbEnemies,
+  buildEnemyCrossRef,
+  ardbImg,
+} from './ardbApi.js';
+import { normalizeBaseName, nameToSlug } from './searchIndex.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {'craft'|'quest'|'station'|'recycle'} UseKind
+ *   craft   — ingredient in another item's recipe
+ *   quest   — handed in for a quest
+ *   station — needed for a workstation upgrade
+ *   recycle — recycles into the linked item
+ */
+
+/**
+ * @typedef {'craft'|'reward'|'drop'|'recycle'|'trader'} SourceKind
+ *   craft   — crafted from a recipe (the link is the workstation)
+ *   reward  — quest reward or item granted by a quest
+ *   drop    — dropped by an ARC
+ *   recycle — obtained by recycling the linked item
+ *   trader  — sold by a trader
+ */
+
+/**
+ * @typedef {Object} GraphLink
+ * @property {UseKind|SourceKind} kind
+ * @property {string}      name     linked entity (item, quest, ARC, trader, station)
+ * @property {string|null} href     route of the linked entity, if it has a page
+ * @property {string|null} icon
+ * @property {number|null} qty      amount handed in / received, when known
+ * @property {string|null} note     e.g. quest trader, trader price
+ * @property {Array<'MetaForge'|'ARDB'>} sources  provenance
+ */
+
+/**
+ * @typedef {Object} ItemGraph
+ * @property {Map<string, GraphLink[]>} uses     node key → uses
+ * @property {Map<string, GraphLink[]>} sources  node key → sources
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const itemHref   = (name) => `#/item/${encodeURIComponent(nameToSlug(normalizeBaseName(name)))}`;
+const questHref  = (id)   => `#/quest/${encodeURIComponent(id)}`;
+const arcHref    = (id)   => `#/arc/${encodeURIComponent(id)}`;
+const traderHref = (name) => `#/trader/${encodeURIComponent(name.toLowerCase())}`;
+
+/** { id: 'weapon_bench', tier: 3 } or { name: 'Medical Lab', tier: 1 } → "Weapon Bench Tier 3" */
+function stationName(station) {
+  const name = station.name ?? String(station.id ?? '').replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+  return station.tier != null ? `${name} Tier ${station.tier}` : name;
+}
+
+function quantity(stack) {
+  const n = Number(stack?.quantity ?? stack?.amount);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Adds a link, merging with an existing one to the same entity and kind. */
+function addLink(map, key, link) {
+  if (!key) return;
+  let links = map.get(key);
+  if (!links) map.set(key, links = []);
+  const existing = links.find((l) => l.kind === link.kind && (l.href ?? l.name) === (link.href ?? link.name));
+  if (!existing) {
+    links.push(link);
+    return;
+  }
+  existing.qty  ??= link.qty;
+  existing.icon ??= link.icon;
+  existing.note ??= link.note;
+  for (const s of link.sources) if (!existing.sources.includes(s)) existing.sources.push(s);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GRAPH
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the graph from the current MetaForge data, ARDB enemies and cached
+ * ARDB item details. Cheap enough to rebuild per item page visit, which also
+ * picks up details cached since the last one.
+ *
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<ItemGraph>}
+ */
+export async function buildItemGraph({ signal } = {}) {
+  const [mfItems, quests, arcs, traders, ardbItems, crossRef, enemies, enemyRef] = await Promise.all([
+    fetchItems({ signal }),
+    fetchQuests({ signal }).catch(() => []),
+    fetchArcs({ signal }).catch(() => []),
+    fetchTraders({ signal }).catch(() => ({})),
+    fetchArdbItems({ signal }).catch(() => []),
+    buildArdbCrossRef({ signal }).catch(() => null),
+    fetchAllArdbEnemies({ signal }).catch(() => []),
+    buildEnemyCrossRef({ signal }).catch(() => null),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallbacks above swallow AbortErrors
+
+  const ardbDetails = await peekCachedArdbItems(ardbItems.map((i) => i.id));
+  const mfById = new Map(mfItems.map((i) => [i.id, i]));
+
+  /** ARDB item id → node keys (its MetaForge matches, or 'ardb:<id>') */
+  const ardbKeys = (id) => {
+    const mfIds = crossRef?.byArdbId.get(id) ?? [];
+    return mfIds.length ? mfIds : [`ardb:${id}`];
+  };
+
+  /** Link target for an ARDB item ref — the matched MetaForge item if any */
+  const ardbItemTarget = (ref) => {
+    const mf = mfById.get(crossRef?.byArdbId.get(ref.id)?.[0]);
+    return mf
+      ? { name: mf.name, href: itemHref(mf.name), icon: mf.icon ?? null }
+      : { name: ref.name ?? ref.id, href: null, icon: ardbImg(ref.icon) };
+  };
+
+  /** ARDB quest id ("clearer_skies") → MetaForge quest, by id or title */
+  const questBySlug = new Map();
+  for (const q of quests) {
+    questBySlug.set(nameToSlug(q.id), q);
+    questBySlug.set(nameToSlug(q.name), q);
+  }
+  const mfQuestFor = (ardbQuest) =>
+    questBySlug.get(nameToSlug(String(ardbQuest.id ?? '').replace(/_/g, '-')))
+    ?? questBySlug.get(nameToSlug(ardbQuest.title ?? ardbQuest.name ?? ''));
+
+  const arcById = new Map(arcs.map((a) => [a.id, a]));
+  const mfArcFor = (ardbEnemyId) => arcById.get(enemyRef?.byArdbId.get(ardbEnemyId)?.[0]);
+
+  const uses    = new Map();
+  const sources = new Map();
+
+  // ── MetaForge quests ──────────────────────────────────────────
+  for (const quest of quests) {
+    const link = (qty) => ({
+      name: quest.name, href: questHref(quest.id), icon: quest.image ?? null,
+      qty, note: quest.trader_name ?? null, sources: ['MetaForge'],
+    });
+    for (const stack of quest.required_items ?? []) {
+      addLink(uses, stack.item?.id ?? stack.item_id, { kind: 'quest', ...link(quantity(stack)) });
+    }
+    for (const stack of [...(quest.rewards ?? []), ...(quest.granted_items ?? [])]) {
+      addLink(sources, stack.item?.id ?? stack.item_id, { kind: 'reward', ...link(quantity(stack)) });
+    }
+  }
+
+  // ── MetaForge ARC loot ────────────────────────────────────────
+  for (const arc of arcs) {
+    for (const stack of arc.loot ?? []) {
+      addLink(sources, stack.item?.id ?? stack.item_id, {
+        kind: 'drop', name: arc.name, href: arcHref(arc.id), icon: arc.icon ?? null,
+        qty: null, note: null, sources: ['MetaForge'],
+      });
+    }
+  }
+
+  // ── MetaForge trader inventories ──────────────────────────────
+  for (const [traderName, inventory] of Object.entries(traders)) {
+    for (const listing of inventory) {
+      addLink(sources, listing.id, {
+        kind: 'trader', name: traderName, href: traderHref(traderName), icon: null,
+        qty: null, note: listing.trader_price != null ? `${listing.trader_price.toLocaleString()} each` : null,
+        sources: ['MetaForge'],
+      });
+    }
+  }
+
+  // ── ARDB enemy drop tables ────────────────────────────────────
+  const enemyLink = (enemy) => {
+    const arc = mfArcFor(enemy.id);
+    return {
+      kind: 'drop', name: arc?.name ?? enemy.name, href: arc ? arcHref(arc.id) : null,
+      icon: arc?.icon ?? ardbImg(enemy.icon), qty: null, note: null, sources: ['ARDB'],
+    };
+  };
+  for (const enemy of enemies) {
+    for (const drop of enemy.dropTable ?? []) {
+      for (const key of ardbKeys(drop.id)) addLink(sources, key, enemyLink(enemy));
+    }
+  }
+
+  // ── ARDB item details (cached only) ───────────────────────────
+  for (const detail of ardbDetails) {
+    const keys = ardbKeys(detail.id);
+    const self = ardbItemTarget(detail);
+    const each = (fn) => { for (const key of keys) fn(key); };
+
+    const cr = detail.craftingRequirement;
+    if (cr?.requiredItems?.length) {
+      if (cr.station) {
+        each((key) => addLink(sources, key, {
+          kind: 'craft', name: stationName(cr.station), href: null, icon: null,
+          qty: cr.outputAmount ?? null, note: null, sources: ['ARDB'],
+        }));
+      }
+      for (const { item: ing, amount } of cr.requiredItems) {
+        if (!ing?.id) continue;
+        for (const key of ardbKeys(ing.id)) {
+          addLink(uses, key, { kind: 'craft', ...self, qty: amount ?? null, note: null, sources: ['ARDB'] });
+        }
+      }
+    }
+
+    for (const { item: out, amount } of detail.breaksInto ?? []) {
+      if (!out?.id) continue;
+      each((key) => addLink(uses, key, { kind: 'recycle', ...ardbItemTarget(out), qty: amount ?? null, note: null, sources: ['ARDB'] }));
+      for (const key of ardbKeys(out.id)) {
+        addLink(sources, key, { kind: 'recycle', ...self, qty: amount ?? null, note: null, sources: ['ARDB'] });
+      }
+    }
+
+    for (const ref of detail.usedInCraft ?? []) {
+      if (!ref?.id) continue;
+      each((key) => addLink(uses, key, { kind: 'craft', ...ardbItemTarget(ref), qty: null, note: null, sources: ['ARDB'] }));
+    }
+
+    for (const { item: from, amount } of detail.obtainedFrom ?? []) {
+      if (!from?.id) continue;
+      each((key) => addLink(sources, key, { kind: 'recycle', ...ardbItemTarget(from), qty: amount ?? null, note: null, sources: ['ARDB'] }));
+    }
+
+    for (const enemy of detail.droppedBy ?? []) {
+      if (!enemy?.id) continue;
+      each((key) => addLink(sources, key, enemyLink(enemy)));
+    }
+
+    for (const { quest, amount } of detail.requiredForQuests ?? []) {
+      if (!quest) continue;
+      const mf = mfQuestFor(quest);
+      each((key) => addLink(uses, key, {
+        kind: 'quest', name: mf?.name ?? quest.title ?? quest.id, href: mf ? questHref(mf.id) : null,
+        icon: mf?.image ?? null, qty: amount ?? null, note: mf?.trader_name ?? null, sources: ['ARDB'],
+      }));
+    }
+
+    for (const { station, amount } of detail.requiredForStation ?? []) {
+      if (!station) continue;
+      each((key) => addLink(uses, key, {
+        kind: 'station', name: stationName(station), href: null, icon: null,
+        qty: amount ?? null, note: null, sources: ['ARDB'],
+      }));
+    }
+  }
+
+  return { uses, sources };
+}
+
+/**
+ * Uses and sources of one MetaForge item, sorted by kind, then name.
+ *
+ * @param {ItemGraph} graph
+ * @param {string} mfId
+ * @returns {{ uses: GraphLink[], sources: GraphLink[] }}
+ */
+export function itemLinks(graph, mfId) {
+  const sorted = (links, order) => [...(links ?? [])].sort((a, b) =>
+    order.indexOf(a.kind) - order.indexOf(b.kind) || a.name.localeCompare(b.name));
+  return {
+    uses:    sorted(graph.uses.get(mfId),    ['quest', 'station', 'craft', 'recycle']),
+    sources: sorted(graph.sources.get(mfId), ['trader', 'craft', 'reward', 'drop', 'recycle']),
+  };
+}
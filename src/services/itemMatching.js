@@ -0,0 +1,329 @@
+/**
+ * src/services/itemMatching.js
+ *
+ * Matching engine that pairs MetaForge items with ARDB items.
+ *
+ * The two APIs name things differently. For example:
+ *
+ *   MetaForge  id "tempest-ii"             name "Tempest II"
+ *   ARDB       id "tempest_t2"             name "Tempest II"
+ *   MetaForge  id "tempest-i"              name "Tempest I"
+ *   ARDB       id "tempest"                name "Tempest I"
+ *   MetaForge  id "compensator-ii-recipe"  name "Compensator II Blueprint"
+ *
+ * Each MetaForge item is resolved by the first strategy below that yields
+ * candidates. A strategy that yields several distinct ARDB items marks the
+ * item ambiguous rather than guessing.
+ *
+ *   1. override  — explicit entry in src/data/ardb-match-overrides.json
+ *   2. id        — ids equal after snake/kebab normalization
+ *   3. name      — display names equal after slugging
+ *   4. tier      — same kind, base name and tier, parsed from name or id
+ *                  ("Tempest II" ≡ "tempest_t2" ≡ "tempest-ii")
+ *   5. tier-default — a tierless name on one side matches tier I on the
+ *                  other ("Tempest" ↔ "Tempest I"), never a higher tier
+ *   6. fuzzy     — bigram similarity of base names within the same kind
+ *                  and tier, above FUZZY_MIN
+ *
+ * Pure functions only. ardbApi.js feeds it live data.
+ */
+
+import { normalizeBaseName, nameToSlug } from './searchIndex.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Confidence per strategy; fuzzy matches scale FUZZY_WEIGHT by similarity. */
+const SCORES = {
+  override:       1,
+  id:             1,
+  name:           1,
+  tier:           0.95,
+  'tier-default': 0.9,
+};
+const FUZZY_WEIGHT = 0.8;
+
+/** Minimum Dice similarity of base names for a fuzzy match. */
+const FUZZY_MIN = 0.85;
+
+/** Fuzzy candidates within this similarity of the best are ambiguous. */
+const FUZZY_TIE = 0.02;
+
+const ROMAN = { i: 1, ii: 2, iii: 3, iv: 4, v: 5 };
+
+/**
+ * @typedef {Object} ItemMatch
+ * @property {object} ardb    ARDB list item
+ * @property {string} method  'override' | 'id' | 'name' | 'tier' | 'tier-default' | 'fuzzy'
+ * @property {number} score   0..1 confidence
+ */
+
+/**
+ * @typedef {Object} AmbiguousMatch
+ * @property {'metaforge'|'ardb'} side  which side's entity has several counterparts
+ * @property {string}   id
+ * @property {string}   name
+ * @property {string}   method      strategy that produced the tie
+ * @property {Array<{ id: string, name: string }>} candidates
+ */
+
+/**
+ * @typedef {Object} MatchResult
+ * @property {Map<string, ItemMatch>} byMfId     MetaForge id → match
+ * @property {Map<string, string[]>}  byArdbId   ARDB id → MetaForge ids matched to it
+ * @property {object[]}        unmatchedMf       MetaForge items without a counterpart
+ * @property {object[]}        unmatchedArdb     ARDB items no MetaForge item matched
+ * @property {AmbiguousMatch[]} ambiguous
+ * @property {{ metaforge: number, ardb: number, matched: number, byMethod: Object<string, number> }} stats
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY NORMALIZATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "tempest_t2" / "Tempest-T2" → "tempest-t2" */
+function idKey(id) {
+  return String(id ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parses a display name into kind / base slug / tier.
+ * "Compensator II Blueprint" → { kind: 'blueprint', base: 'compensator', tier: 2 }
+ *
+ * @returns {{ kind: string, base: string, tier: number|null }}
+ */
+function describeName(name) {
+  const trimmed = String(name ?? '').trim();
+  const kind = /\s(Blueprint|Recipe)\b/i.test(trimmed) ? 'blueprint' : 'item';
+  const bare = trimmed.replace(/\s+(Blueprint|Recipe)\b/gi, '').trim();
+
+  let tier = null;
+  const mk    = bare.match(/\s[Mm][Kk]\.\s*(\d+)/);
+  const roman = bare.match(/\s(I{1,3}|IV|V)$/i);
+  const digit = bare.match(/\s(\d)$/);
+  if (mk)         tier = Number(mk[1]);
+  else if (roman) tier = ROMAN[roman[1].toLowerCase()];
+  else if (digit) tier = Number(digit[1]);
+
+  return { kind, base: nameToSlug(normalizeBaseName(bare)), tier };
+}
+
+/**
+ * Parses an id into kind / base slug / tier.
+ * "tempest_t2" → tier 2, "compensator-ii-recipe" → blueprint, tier 2
+ *
+ * @returns {{ kind: string, base: string, tier: number|null }}
+ */
+function describeId(id) {
+  let key = idKey(id);
+  let kind = 'item';
+  if (/-(recipe|blueprint)$/.test(key)) {
+    kind = 'blueprint';
+    key  = key.replace(/-(recipe|blueprint)$/, '');
+  }
+
+  let tier = null;
+  const t     = key.match(/-t(\d)$/);
+  const roman = key.match(/-(i{1,3}|iv|v)$/);
+  const mk    = key.match(/-mk-?(\d+)/);
+  if (t)          { tier = Number(t[1]);        key = key.slice(0, -t[0].length); }
+  else if (roman) { tier = ROMAN[roman[1]];     key = key.slice(0, -roman[0].length); }
+  else if (mk)    { tier = Number(mk[1]);       key = key.replace(mk[0], ''); }
+
+  return { kind, base: key, tier };
+}
+
+function structKey({ kind, base, tier }) {
+  return `${kind}|${base}|${tier ?? ''}`;
+}
+
+/** Character bigrams of a slug, hyphens removed. */
+function bigrams(slug) {
+  const s = slug.replace(/-/g, '');
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+
+/** Sørensen–Dice coefficient of two bigram sets. */
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ARDB INDEX
+// ─────────────────────────────────────────────────────────────────────────────
+
+function addTo(map, key, value) {
+  if (!key) return;
+  const list = map.get(key);
+  if (!list) map.set(key, [value]);
+  else if (!list.includes(value)) list.push(value);
+}
+
+/** Lookup tables over the ARDB list, one per strategy. */
+function indexArdb(ardbItems) {
+  const byId     = new Map();
+  const byName   = new Map();
+  const byStruct = new Map();
+  /** kind → entries, scanned by the tier-default and fuzzy strategies */
+  const byKind   = new Map();
+  const descs    = [];
+
+  for (const item of ardbItems) {
+    if (!item?.id) continue;
+    const fromName = describeName(item.name);
+    const fromId   = describeId(item.id);
+    // Prefer the name's tier: ARDB gives tier I no id suffix ("tempest")
+    const desc = { ...fromName, tier: fromName.tier ?? fromId.tier };
+
+    addTo(byId,     idKey(item.id), item);
+    addTo(byName,   nameToSlug(String(item.name ?? '')), item);
+    addTo(byStruct, structKey(desc), item);
+    addTo(byStruct, structKey({ ...fromId, tier: desc.tier }), item);
+    descs.push({ item, desc, grams: bigrams(desc.base) });
+  }
+
+  for (const entry of descs) addTo(byKind, entry.desc.kind, entry);
+  return { byId, byName, byStruct, byKind };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MATCHING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Runs strategies 2–6 for one MetaForge item.
+ *
+ * @returns {{ method: string, score: number, candidates: object[] }|null}
+ */
+function findCandidates(mfItem, index) {
+  const exact = (method, list) => (list?.length ? { method, score: SCORES[method], candidates: list } : null);
+
+  const byId = exact('id', index.byId.get(idKey(mfItem.id)));
+  if (byId) return byId;
+
+  const byName = exact('name', index.byName.get(nameToSlug(String(mfItem.name ?? ''))));
+  if (byName) return byName;
+
+  const fromName = describeName(mfItem.name);
+  const fromId   = describeId(mfItem.id);
+  const desc     = { ...fromName, tier: fromName.tier ?? fromId.tier };
+
+  const structural = new Set([
+    ...(index.byStruct.get(structKey(desc)) ?? []),
+    ...(index.byStruct.get(structKey({ ...fromId, tier: desc.tier })) ?? []),
+  ]);
+  if (structural.size) return exact('tier', [...structural]);
+
+  // Tierless ↔ tier I only — "Tempest" must never resolve to "Tempest IV"
+  const sameKind = index.byKind.get(desc.kind) ?? [];
+  const tierDefault = sameKind
+    .filter(({ desc: d }) => d.base === desc.base && (d.tier ?? 1) === (desc.tier ?? 1))
+    .map(({ item }) => item);
+  if (tierDefault.length) return exact('tier-default', tierDefault);
+
+  const grams = bigrams(desc.base);
+  const scored = sameKind
+    .filter(({ desc: d }) => (d.tier ?? 1) === (desc.tier ?? 1))
+    .map(({ item, grams: g }) => ({ item, sim: dice(grams, g) }))
+    .filter(({ sim }) => sim >= FUZZY_MIN)
+    .sort((a, b) => b.sim - a.sim);
+  if (!scored.length) return null;
+
+  const best = scored[0].sim;
+  return {
+    method:     'fuzzy',
+    score:      Math.round(FUZZY_WEIGHT * best * 100) / 100,
+    candidates: scored.filter(({ sim }) => best - sim <= FUZZY_TIE).map(({ item }) => item),
+  };
+}
+
+const briefOf = (item) => ({ id: item.id, name: item.name });
+
+/**
+ * Matches every MetaForge item against the ARDB items list.
+ *
+ * @param {object[]} mfItems     MetaForge items (fetchItems())
+ * @param {object[]} ardbItems   ARDB list items (fetchArdbItems())
+ * @param {Object<string, string|null>} [overrides]
+ *   MetaForge id → ARDB id. `null` pins an item as having no ARDB
+ *   counterpart, which keeps it out of the unmatched report.
+ * @returns {MatchResult}
+ */
+export function matchItems(mfItems, ardbItems, overrides = {}) {
+  const index    = indexArdb(ardbItems);
+  const ardbById = new Map(ardbItems.filter(i => i?.id).map(i => [i.id, i]));
+
+  const byMfId      = new Map();
+  const byArdbId    = new Map();
+  const unmatchedMf = [];
+  const ambiguous   = [];
+  const byMethod    = {};
+
+  const accept = (mfItem, ardb, method, score) => {
+    byMfId.set(mfItem.id, { ardb, method, score });
+    addTo(byArdbId, ardb.id, mfItem.id);
+    byMethod[method] = (byMethod[method] ?? 0) + 1;
+  };
+
+  for (const mfItem of mfItems) {
+    if (!mfItem?.id) continue;
+
+    if (Object.hasOwn(overrides, mfItem.id)) {
+      const target = overrides[mfItem.id];
+      if (target === null) continue; // pinned as MetaForge-only
+      const ardb = ardbById.get(target);
+      if (ardb) {
+        accept(mfItem, ardb, 'override', SCORES.override);
+        continue;
+      }
+      console.warn(`[Match] Override ${mfItem.id} → ${target}: no such ARDB item — falling back to automatic matching.`);
+    }
+
+    const found = findCandidates(mfItem, index);
+    if (!found) {
+      unmatchedMf.push(mfItem);
+    } else if (found.candidates.length > 1) {
+      ambiguous.push({
+        side: 'metaforge', id: mfItem.id, name: mfItem.name,
+        method: found.method, candidates: found.candidates.map(briefOf),
+      });
+    } else {
+      accept(mfItem, found.candidates[0], found.method, found.score);
+    }
+  }
+
+  // One ARDB item claimed by several MetaForge items — usually a duplicate
+  // MetaForge record or a tier collapsed on one side.
+  const mfById = new Map(mfItems.filter(i => i?.id).map(i => [i.id, i]));
+  for (const [ardbId, mfIds] of byArdbId) {
+    if (mfIds.length < 2) continue;
+    const ardb = ardbById.get(ardbId);
+    ambiguous.push({
+      side: 'ardb', id: ardbId, name: ardb?.name ?? ardbId,
+      method: [...new Set(mfIds.map(id => byMfId.get(id).method))].join(', '),
+      candidates: mfIds.map(id => briefOf(mfById.get(id))),
+    });
+  }
+
+  const unmatchedArdb = ardbItems.filter(i => i?.id && !byArdbId.has(i.id));
+
+  return {
+    byMfId,
+    byArdbId,
+    unmatchedMf,
+    unmatchedArdb,
+    ambiguous,
+    stats: {
+      metaforge: mfById.size,
+      ardb:      ardbById.size,
+      matched:   byMfId.size,
+      byMethod,
+    },
+  };
+}
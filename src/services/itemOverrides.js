@@ -0,0 +1,52 @@
+/**
+ * src/services/itemOverrides.js
+ *
+ * Loader for src/data/item-overrides.json — hand-maintained facts the APIs
+ * don't carry (drop sources, farming tips, event / map exclusivity).
+ *
+ * Keys are normalized base names (searchIndex.normalizeBaseName), so one
+ * entry covers every tier of an item. Recognised fields:
+ *   dropSources    string[]
+ *   containerTypes string[]
+ *   farmingTips    string
+ *   eventExclusive string            e.g. "Harvester"
+ *   mapExclusive   string|string[]   map slug or display name, e.g. "Blue Gate"
+ *   bossDrops      string[]
+ */
+
+import { normalizeBaseName } from './searchIndex.js';
+
+const OVERRIDES_URL = '/src/data/item-overrides.json';
+
+// Loaded via fetch() — static JSON import assertions (assert/with {type:'json'})
+// have inconsistent browser support and would break the entire module on Firefox.
+let _overridesCache   = null;
+let _overridesPromise = null;
+
+/**
+ * Fetches the overrides file once per session. Resolves to {} (and retries
+ * on the next call) if the file can't be loaded.
+ *
+ * @returns {Promise<Object<string, object>>}
+ */
+export async function loadItemOverrides() {
+  if (_overridesCache) return _overridesCache;
+  if (_overridesPromise) return _overridesPromise;
+  _overridesPromise = fetch(OVERRIDES_URL)
+    .then((r) => r.json())
+    .then((data) => { _overridesCache = data; _overridesPromise = null; return data; })
+    .catch((err) => { console.warn('[overrides] Could not load item-overrides.json:', err.message); _overridesPromise = null; return {}; });
+  return _overridesPromise;
+}
+
+/**
+ * The override entry for an item (any tier), or null.
+ *
+ * @param {{ name: string }} item
+ * @param {Object<string, object>} overrides  From loadItemOverrides()
+ * @returns {object|null}
+ */
+export function overrideFor(item, overrides) {
+  if (!item?.name) return null;
+  return (overrides ?? {})[normalizeBaseName(item.name)] ?? null;
+}
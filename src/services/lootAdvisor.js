@@ -0,0 +1,178 @@
+/**
+ * src/services/lootAdvisor.js
+ *
+ * Keep / sell / recycle verdicts for items, with the reasoning behind them.
+ *
+ * Inputs per item: base `value`, ARDB `breaksInto` outputs and their values,
+ * trader listings, and the item's uses from the reverse item graph
+ * (itemGraph.js) — quest hand-ins, workstation upgrades and recipes.
+ *
+ * Verdicts, strongest first:
+ *   keep-quest — handed in for a quest
+ *   keep-craft — needed for a workstation upgrade or another item's recipe
+ *   recycle    — recycled outputs are worth more than the item itself
+ *   sell       — none of the above
+ * Quest and crafting uses win over recycling: a recycled item is gone.
+ *
+ * The items list only has the ARDB details already in the cache. Without an
+ * item's own detail its recycling outputs and crafting / workstation uses are
+ * unknown, so any verdict short of keep-quest is marked provisional there.
+ */
+
+import { fetchItems, fetchTraders } from './metaforgeApi.js';
+import { fetchArdbItems, buildArdbCrossRef, lookupArdbItem, peekCachedArdbItems } from './ardbApi.js';
+import { buildItemGraph, itemLinks } from './itemGraph.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Verdicts, strongest first — also the list page's sort order. */
+export const VERDICTS = ['keep-quest', 'keep-craft', 'recycle', 'sell'];
+
+/**
+ * @typedef {Object} Advice
+ * @property {'keep-quest'|'keep-craft'|'recycle'|'sell'} verdict
+ * @property {string}      label         e.g. "Keep for quest Clearer Skies"
+ * @property {string[]}    reasons       one sentence per factor considered
+ * @property {number|null} value         base value of the item
+ * @property {number|null} recycleValue  summed value of the recycled outputs
+ * @property {boolean}     provisional   the item's ARDB detail wasn't available,
+ *                                       so recycling and crafting uses may be missing
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADVICE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "A", "A and B", "A, B and 3 more" */
+function listNames(names, max = 2) {
+  if (names.length <= max) return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0];
+  return `${names.slice(0, max).join(', ')} and ${names.length - max} more`;
+}
+
+/**
+ * Computes the verdict for one MetaForge item.
+ *
+ * @param {object} item  MetaForge item
+ * @param {object} [ctx]
+ * @param {import('./itemGraph.js').GraphLink[]} [ctx.uses]  from itemLinks()
+ * @param {object|null} [ctx.ardbDetail]  full ARDB detail, for `breaksInto` and `usedInCraft`
+ * @param {Array<{ name: string, price: number }>} [ctx.soldBy]  trader listings
+ * @returns {Advice}
+ */
+export function adviseItem(item, { uses = [], ardbDetail = null, soldBy = [] } = {}) {
+  const value   = item.value ?? ardbDetail?.value ?? null;
+  const reasons = [];
+
+  const quests   = uses.filter((l) => l.kind === 'quest');
+  const stations = uses.filter((l) => l.kind === 'station');
+  const crafts   = [...new Set([
+    ...uses.filter((l) => l.kind === 'craft').map((l) => l.name),
+    ...(ardbDetail?.usedInCraft ?? []).map((i) => i.name),
+  ])];
+
+  for (const q of quests) {
+    reasons.push(`Handed in for ${q.name}${q.qty ? ` (× ${q.qty})` : ''}${q.note ? `, a ${q.note} quest` : ''}.`);
+  }
+  for (const s of stations) {
+    reasons.push(`Needed for the ${s.name} upgrade${s.qty ? ` (× ${s.qty})` : ''}.`);
+  }
+  if (crafts.length) reasons.push(`Used to craft ${listNames(crafts, 3)}.`);
+
+  // Recycling — only meaningful when every output has a known value
+  const outputs = (ardbDetail?.breaksInto ?? []).filter(({ item: out }) => out);
+  let recycleValue = null;
+  if (outputs.length && outputs.every(({ item: out }) => out.value != null)) {
+    recycleValue = outputs.reduce((sum, { item: out, amount }) => sum + out.value * (amount ?? 1), 0);
+    const parts = outputs.map(({ item: out, amount }) => `${out.name} × ${amount ?? 1}`);
+    const cmp = value == null ? ''
+      : `, ${recycleValue > value ? 'more than' : recycleValue === value ? 'the same as' : 'less than'} its own ${value.toLocaleString()}`;
+    reasons.push(`Recycles into ${parts.join(', ')} — ${recycleValue.toLocaleString()} in total${cmp}.`);
+  }
+
+  const cheapest = [...soldBy].sort((a, b) => (a.price ?? 0) - (b.price ?? 0))[0];
+  if (cheapest) reasons.push(`${cheapest.name} sells it for ${(cheapest.price ?? 0).toLocaleString()}, so it is easy to replace.`);
+
+  let verdict, label;
+  if (quests.length) {
+    verdict = 'keep-quest';
+    label   = `Keep for quest ${listNames(quests.map((q) => q.name))}`;
+  } else if (stations.length || crafts.length) {
+    verdict = 'keep-craft';
+    label   = stations.length
+      ? `Keep for ${listNames(stations.map((s) => s.name))} upgrade`
+      : `Keep for craft ${listNames(crafts)}`;
+  } else if (recycleValue != null && value != null && recycleValue > value) {
+    verdict = 'recycle';
+    label   = 'Recycle';
+  } else {
+    verdict = 'sell';
+    label   = 'Safe to sell';
+    reasons.push(value != null
+      ? `No quest or crafting uses known — sells for ${value.toLocaleString()}.`
+      : 'No quest or crafting uses known.');
+  }
+
+  return { verdict, label, reasons, value, recycleValue, provisional: false };
+}
+
+/**
+ * The strongest verdict of several (e.g. every tier of an item group); on a
+ * tie, a confirmed verdict beats a provisional one.
+ *
+ * @param {Advice[]} advices
+ * @returns {Advice|null}
+ */
+export function strongestAdvice(advices) {
+  return advices.reduce((best, a) => {
+    if (!best) return a;
+    const d = VERDICTS.indexOf(a.verdict) - VERDICTS.indexOf(best.verdict);
+    return d < 0 || (d === 0 && best.provisional && !a.provisional) ? a : best;
+  }, null);
+}
+
+/**
+ * Verdicts for every MetaForge item, for the items list. ARDB recycling
+ * data comes from cached details only, like the item graph itself; items
+ * matched to an ARDB item whose detail isn't cached get provisional advice.
+ *
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Map<string, Advice>>}  MetaForge item id → advice
+ */
+export async function buildItemAdvice({ signal } = {}) {
+  const [items, traders, ardbItems, crossRef, graph] = await Promise.all([
+    fetchItems({ signal }),
+    fetchTraders({ signal }).catch(() => ({})),
+    fetchArdbItems({ signal }).catch(() => []),
+    buildArdbCrossRef({ signal }).catch(() => null),
+    buildItemGraph({ signal }),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallbacks above swallow AbortErrors
+
+  const details = await peekCachedArdbItems(ardbItems.map((i) => i.id));
+  const detailByMfId = new Map();
+  for (const detail of details) {
+    for (const mfId of crossRef?.byArdbId.get(detail.id) ?? []) detailByMfId.set(mfId, detail);
+  }
+
+  const soldByMap = new Map();
+  for (const [traderName, inventory] of Object.entries(traders)) {
+    for (const listing of inventory) {
+      const existing = soldByMap.get(listing.id) ?? [];
+      existing.push({ name: traderName, price: listing.trader_price });
+      soldByMap.set(listing.id, existing);
+    }
+  }
+
+  return new Map(items.map((item) => {
+    const ardbDetail = detailByMfId.get(item.id) ?? null;
+    const advice = adviseItem(item, {
+      uses:   itemLinks(graph, item.id).uses,
+      ardbDetail,
+      soldBy: soldByMap.get(item.id) ?? [],
+    });
+    advice.provisional = !ardbDetail && advice.verdict !== 'keep-quest' && !!lookupArdbItem(item, crossRef);
+    return [item.id, advice];
+  }));
+}
@@ -0,0 +1,196 @@
+/**
+ * src/services/mapItemIndex.js
+ *
+ * Per-map item index behind the "Items Found Here" section of #/map/:id.
+ * Merged from three sources, each recorded on the entry as provenance:
+ *   • MetaForge — item `locations[]`, filtered by getValidLocations()
+ *   • ARDB      — item detail `maps`; only details already in the cache are
+ *                 read (the list endpoint omits `maps`), see peekCachedArdbItems()
+ *   • Override  — item-overrides.json `mapExclusive`
+ *
+ * Entries are keyed by item page: all tiers of an item collapse into one row
+ * linking to #/item/:baseSlug. ARDB items with no MetaForge match keep their
+ * own name and icon and are not linked.
+ */
+
+import { fetchItems } from './metaforgeApi.js';
+import { fetchArdbItems, buildArdbCrossRef, peekCachedArdbItems, ardbImg } from './ardbApi.js';
+import { loadItemOverrides, overrideFor } from './itemOverrides.js';
+import { normalizeBaseName, nameToSlug } from './searchIndex.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} MapItemEntry
+ * @property {string}      key      base slug, or 'ardb:<id>' for ARDB-only items
+ * @property {string}      name
+ * @property {string|null} icon
+ * @property {string|null} rarity
+ * @property {string|null} type
+ * @property {string|null} href     item page route; null for ARDB-only items
+ * @property {string[]}    zones    loot zones — MetaForge `loot_area` or ARDB `foundIn`
+ * @property {Array<'MetaForge'|'ARDB'|'Override'>} sources
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAP IDS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Route slugs of #/map/:id — every source is resolved onto these. */
+const MAP_IDS = ['dam', 'spaceport', 'buried-city', 'blue-gate', 'stella-montis'];
+
+// Map slug → expected item-name prefix (lower-case, with trailing space)
+// Used to discard locations[] entries whose map contradicts the item name.
+const MAP_PREFIXES = [
+  { map: 'dam',           prefix: 'dam ' },
+  { map: 'buried-city',   prefix: 'buried city' },
+  { map: 'blue-gate',     prefix: 'blue gate' },
+  { map: 'spaceport',     prefix: 'spaceport' },
+  { map: 'stella-montis', prefix: 'stella montis' },
+];
+
+/**
+ * Resolves a map reference from any source to a route slug, or null.
+ * Accepts slugs, display names and ARDB-style ids/objects:
+ * "Blue Gate", "Dam Battlegrounds", "buried-city-v2", { id: 'stella-montis-l1' }.
+ */
+function resolveMapId(ref) {
+  const raw = typeof ref === 'string' ? ref : (ref?.id ?? ref?.slug ?? ref?.name);
+  if (typeof raw !== 'string') return null;
+  const slug = nameToSlug(raw).replace(/^the-/, '');
+  return MAP_IDS.find((id) => slug === id || slug.startsWith(`${id}-`) || slug.endsWith(`-${id}`)) ?? null;
+}
+
+/** Return only the locations[] entries that are consistent with the item name. */
+export function getValidLocations(item) {
+  if (!Array.isArray(item.locations) || !item.locations.length) return [];
+  const nameLower = item.name.toLowerCase();
+  const matched = MAP_PREFIXES.find(({ prefix }) => nameLower.startsWith(prefix));
+  // If the item name starts with a known map prefix, keep only matching entries.
+  // Otherwise (e.g. "Patrol Car Key") accept all entries.
+  return matched
+    ? item.locations.filter((loc) => loc.map === matched.map)
+    : item.locations;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INDEX
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "technological" → "Technological"; already-cased values ("ARC") pass through. */
+function zoneLabel(zone) {
+  return zone === zone.toLowerCase()
+    ? zone.replace(/\b[a-z]/g, (c) => c.toUpperCase())
+    : zone;
+}
+
+function mfZones(item) {
+  return item.loot_area
+    ? item.loot_area.split(',').map((s) => s.trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * Builds the index from the current MetaForge items, ARDB list + cached
+ * details, and overrides. Cheap enough to rebuild per map page visit, which
+ * also picks up ARDB details cached since the last one.
+ *
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Map<string, MapItemEntry[]>>}  map slug → entries, by name
+ */
+export async function buildMapItemIndex({ signal } = {}) {
+  const [mfItems, ardbItems, crossRef, overrides] = await Promise.all([
+    fetchItems({ signal }),
+    fetchArdbItems({ signal }).catch(() => []),
+    buildArdbCrossRef({ signal }).catch(() => null),
+    loadItemOverrides(),
+  ]);
+  signal?.throwIfAborted(); // the .catch() fallbacks above swallow AbortErrors
+
+  const ardbDetails = await peekCachedArdbItems(ardbItems.map((i) => i.id));
+  const mfById = new Map(mfItems.map((i) => [i.id, i]));
+
+  /** @type {Map<string, Map<string, MapItemEntry>>} map slug → entry key → entry */
+  const byMap = new Map(MAP_IDS.map((id) => [id, new Map()]));
+
+  /** `fallbackZones` (ARDB foundIn) only apply when MetaForge has no loot_area. */
+  function addMf(mapId, item, source, fallbackZones = []) {
+    const baseName = normalizeBaseName(item.name);
+    const key = nameToSlug(baseName);
+    const entries = byMap.get(mapId);
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        name:    baseName,
+        icon:    item.icon ?? null,
+        rarity:  item.rarity ?? null,
+        type:    item.item_type ?? null,
+        href:    `#/item/${encodeURIComponent(key)}`,
+        zones:   [],
+        sources: [],
+      };
+      entries.set(key, entry);
+    }
+    for (const z of mfZones(item)) if (!entry.zones.includes(z)) entry.zones.push(z);
+    if (!entry.zones.length) entry.zones.push(...fallbackZones.map(zoneLabel));
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+  }
+
+  // MetaForge locations[] and overrides
+  const badOverrides = new Set(); // warn once per override, not once per tier
+  for (const item of mfItems) {
+    for (const loc of getValidLocations(item)) {
+      const mapId = resolveMapId(loc.map);
+      if (mapId) addMf(mapId, item, 'MetaForge');
+    }
+
+    const exclusive = overrideFor(item, overrides)?.mapExclusive;
+    for (const ref of [].concat(exclusive ?? [])) {
+      const mapId = resolveMapId(ref);
+      if (mapId) addMf(mapId, item, 'Override');
+      else if (!badOverrides.has(ref)) {
+        badOverrides.add(ref);
+        console.warn(`[mapItemIndex] Unknown mapExclusive "${ref}" for ${normalizeBaseName(item.name)}`);
+      }
+    }
+  }
+
+  // ARDB detail maps — folded onto the matched MetaForge item when there is one
+  for (const detail of ardbDetails) {
+    const mapIds = [...new Set((detail.maps ?? []).map(resolveMapId).filter(Boolean))];
+    if (!mapIds.length) continue;
+
+    const mfMatches = (crossRef?.byArdbId.get(detail.id) ?? [])
+      .map((id) => mfById.get(id))
+      .filter(Boolean);
+
+    for (const mapId of mapIds) {
+      if (mfMatches.length) {
+        for (const item of mfMatches) addMf(mapId, item, 'ARDB', detail.foundIn ?? []);
+        continue;
+      }
+      const key = `ardb:${detail.id}`;
+      const entries = byMap.get(mapId);
+      if (entries.has(key)) continue;
+      entries.set(key, {
+        key,
+        name:    detail.name,
+        icon:    ardbImg(detail.icon),
+        rarity:  detail.rarity ?? null,
+        type:    detail.type ?? null,
+        href:    null,
+        zones:   (detail.foundIn ?? []).map(zoneLabel),
+        sources: ['ARDB'],
+      });
+    }
+  }
+
+  const index = new Map();
+  for (const [mapId, entries] of byMap) {
+    index.set(mapId, [...entries.values()].sort((a, b) => a.name.localeCompare(b.name)));
+  }
+  return index;
+}
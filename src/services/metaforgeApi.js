@@ -3,11 +3,15 @@
  *
  * Data-fetching service for the MetaForge ARC Raiders API.
  * All requests route through the /api/metaforge/* Vercel proxy to avoid CORS.
+ * Every payload is validated and normalized by models.js before it is cached.
  *
  * Docs: https://metaforge.app/arc-raiders/api
  * Attribution required for public projects: metaforge.app/arc-raiders
  */
 
+import { cacheGet, cachePeek, cacheSet, cacheDelete, cacheClear } from './cacheStore.js';
+import { validateItems, validateArcs, validateQuests, validateTraders, validateEvents } from './models.js';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTANTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -15,11 +19,23 @@
 /** Proxy base — all browser requests go here, never directly to metaforge.app */
 const BASE_URL = '/api/metaforge/arc-raiders';
 
-const CACHE_PREFIX = 'rp_mf_';
+/** Namespace for this service's keys in the shared cache store. */
+const CACHE_PREFIX = 'mf:';
 
 /** Max records the API returns per page. */
 const API_PAGE_LIMIT = 100;
 
+/** Retries for retryable errors (network, 5xx the proxy has not retried), with exponential backoff + jitter. */
+const MAX_RETRIES      = 3;
+const RETRY_BASE_MS    = 500;
+const RETRY_MAX_MS     = 8000;
+
+/** Pages 2..N of a paginated endpoint are fetched this many at a time. */
+const PAGE_CONCURRENCY = 4;
+
+/** How long pages fetched by a failed/aborted fetchAllPages() stay resumable. */
+const PARTIAL_PAGES_TTL = 5 * 60 * 1000; // 5 min
+
 const TTL = {
   items:           15 * 60 * 1000, //  15 min
   arcs:            30 * 60 * 1000, //  30 min
@@ -28,91 +44,90 @@ const TTL = {
   eventsSchedule:   5 * 60 * 1000, //   5 min
 };
 
+/** Every cache key this service stores, e.g. for status pages. */
+export const CACHE_KEYS = Object.keys(TTL);
+
+/** Schema validator per cache key — see models.js. */
+const VALIDATORS = {
+  items:          validateItems,
+  arcs:           validateArcs,
+  quests:         validateQuests,
+  traders:        validateTraders,
+  eventsSchedule: validateEvents,
+};
+
+/**
+ * CustomEvent dispatched on `document` when a cached dataset is replaced by
+ * data that differs from what was cached before (background revalidation,
+ * forced refresh, or snapshot hydration). `event.detail` is `{ key, data }`.
+ */
+export const DATA_CHANGED_EVENT = 'rp:dataChanged';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ERROR CLASS
 // ─────────────────────────────────────────────────────────────────────────────
 
 export class MetaForgeError extends Error {
-  constructor(message, status, endpoint) {
+  /**
+   * @param {string} message
+   * @param {number} status    HTTP status; 0 = network failure
+   * @param {string} endpoint
+   * @param {{ code?: string|null, retryAfterMs?: number|null }} [extra]
+   *   `code` is the proxy's error body `error` field, `retryAfterMs` its Retry-After
+   */
+  constructor(message, status, endpoint, { code = null, retryAfterMs = null } = {}) {
     super(message);
     this.name = 'MetaForgeError';
     this.status = status;
     this.endpoint = endpoint;
-    this.retryable = status === 500 || status === 0;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    // 'upstream_unreachable' means our proxy already retried MetaForge (502)
+    // or its circuit breaker is open (503) — retrying from here only adds load.
+    // Other 5xx (platform errors, function timeouts) and network failures are worth a retry.
+    this.retryable = code !== 'upstream_unreachable'
+      && (status === 0 || status === 500 || status === 502 || status === 503 || status === 504);
   }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// CACHE LAYER  (localStorage → in-memory fallback)
+// CACHE LAYER  (shared IndexedDB store — see cacheStore.js)
 // ─────────────────────────────────────────────────────────────────────────────
 
-const memoryStore = new Map();
-
-function localStorageAvailable() {
-  try {
-    const probe = '__rp_probe__';
-    localStorage.setItem(probe, '1');
-    localStorage.removeItem(probe);
-    return true;
-  } catch {
-    return false;
-  }
+async function getCache(key) {
+  return cacheGet(CACHE_PREFIX + key);
 }
 
-const useLocalStorage = localStorageAvailable();
-
-function readStore(key) {
-  try {
-    if (useLocalStorage) {
-      const raw = localStorage.getItem(CACHE_PREFIX + key);
-      return raw ? JSON.parse(raw) : null;
-    }
-    return memoryStore.get(key) ?? null;
-  } catch {
-    return null;
-  }
+async function writeStore(key, data, ttl) {
+  await cacheSet(CACHE_PREFIX + key, data, ttl);
 }
 
-function writeStore(key, data, ttl) {
-  const entry = { data, cachedAt: Date.now(), ttl };
-  try {
-    if (useLocalStorage) {
-      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
-    } else {
-      memoryStore.set(key, entry);
-    }
-  } catch (err) {
-    if (err instanceof DOMException && err.name === 'QuotaExceededError') {
-      memoryStore.set(key, entry);
-    }
-  }
+export async function clearCache(key) {
+  if (key) return cacheDelete(CACHE_PREFIX + key);
+  return cacheClear(CACHE_PREFIX);
 }
 
-function getCache(key) {
-  const entry = readStore(key);
-  if (!entry) return null;
-  const ageMs = Date.now() - entry.cachedAt;
-  if (ageMs > entry.ttl) return null;
-  return { data: entry.data, ageMs };
-}
-
-export function clearCache(key) {
-  if (key) {
-    if (useLocalStorage) localStorage.removeItem(CACHE_PREFIX + key);
-    else memoryStore.delete(key);
-    return;
-  }
-  if (useLocalStorage) {
-    Object.keys(localStorage)
-      .filter(k => k.startsWith(CACHE_PREFIX))
-      .forEach(k => localStorage.removeItem(k));
-  } else {
-    memoryStore.clear();
-  }
+/**
+ * Primes cache entries with data fetched elsewhere — e.g. the /api/snapshot
+ * bundle, whose dataset keys match the cache keys used here. Each dataset is
+ * schema-validated like a direct fetch and gets the normal TTL for its key;
+ * unknown keys are ignored.
+ *
+ * @param {Object<string, *>} datasets  cacheKey → data
+ * @returns {Promise<string[]>} The cache keys that were written
+ */
+export async function hydrateCache(datasets) {
+  const keys = Object.keys(datasets ?? {})
+    .filter(key => key in TTL && datasets[key] != null);
+  await Promise.all(keys.map(async (key) => {
+    const previous = await cachePeek(CACHE_PREFIX + key);
+    await storeAndNotify(key, VALIDATORS[key](datasets[key]), previous);
+  }));
+  return keys;
 }
 
-export function getCacheStatus(key) {
-  const entry = readStore(key);
+export async function getCacheStatus(key) {
+  const entry = await cachePeek(CACHE_PREFIX + key);
   if (!entry) {
     return { cached: false, ageMs: null, ttlMs: TTL[key] ?? null, expiresInMs: null, cachedAt: null };
   }
@@ -130,14 +145,41 @@ export function getCacheStatus(key) {
 // CORE FETCH HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function fetchUrl(url, pathLabel) {
+/**
+ * Resolves after `ms`, or rejects with the signal's AbortError if it fires first.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(signal.reason); return; }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Exponential backoff with ±25 % jitter: ~500 ms, 1 s, 2 s … capped at RETRY_MAX_MS. */
+function backoffMs(attempt) {
+  const base = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(base * (0.75 + Math.random() * 0.5));
+}
+
+/** One GET attempt — throws MetaForgeError, or the AbortError if `signal` fired. */
+async function fetchOnce(url, pathLabel, signal) {
   let response;
   try {
     response = await fetch(url, {
       method: 'GET',
       headers: { Accept: 'application/json' },
+      signal,
     });
   } catch (networkErr) {
+    if (signal?.aborted) throw signal.reason;
     throw new MetaForgeError(
       `Network error (${pathLabel}): ${networkErr.message}`,
       0,
@@ -146,21 +188,30 @@ async function fetchUrl(url, pathLabel) {
   }
 
   if (!response.ok) {
+    const retryAfterSec = parseInt(response.headers.get('Retry-After'), 10);
+    const body = await response.json().catch(() => null);
     const msgs = {
       400: `Bad request to ${pathLabel} — check query parameters.`,
       404: `Endpoint not found: ${pathLabel} — the API may have changed.`,
       500: `MetaForge server error on ${pathLabel} — try again shortly.`,
+      502: `MetaForge is unreachable (${pathLabel}) — try again shortly.`,
+      503: `MetaForge is temporarily unavailable (${pathLabel}) — try again shortly.`,
     };
     throw new MetaForgeError(
       msgs[response.status] ?? `Unexpected HTTP ${response.status} from ${pathLabel}.`,
       response.status,
-      pathLabel
+      pathLabel,
+      {
+        code:         typeof body?.error === 'string' ? body.error : null,
+        retryAfterMs: Number.isFinite(retryAfterSec) ? retryAfterSec * 1000 : null,
+      }
     );
   }
 
   try {
     return await response.json();
   } catch {
+    if (signal?.aborted) throw signal.reason;
     throw new MetaForgeError(
       `Invalid JSON response from ${pathLabel}.`,
       response.status,
@@ -169,55 +220,192 @@ async function fetchUrl(url, pathLabel) {
   }
 }
 
+/**
+ * GETs `url` and parses JSON, retrying errors whose `retryable` flag is set
+ * (network failures, 5xx the proxy hasn't already retried) up to MAX_RETRIES
+ * times with exponential backoff, or after the response's Retry-After if longer.
+ * Aborting `signal` cancels the request or the pending retry immediately.
+ *
+ * @param {string}      url
+ * @param {string}      pathLabel  e.g. '/items' — used in errors and logs
+ * @param {AbortSignal} [signal]
+ */
+async function fetchUrl(url, pathLabel, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, pathLabel, signal);
+    } catch (err) {
+      if (!(err instanceof MetaForgeError) || !err.retryable || attempt >= MAX_RETRIES) throw err;
+      const delay = Math.max(backoffMs(attempt), err.retryAfterMs ?? 0);
+      console.warn(`[MetaForge] ${err.message} Retrying in ${delay} ms (${attempt + 1}/${MAX_RETRIES})...`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Pages already fetched by an fetchAllPages() run that failed or was aborted,
+ * keyed by path, so the next call resumes instead of starting over.
+ *
+ * @type {Map<string, { totalPages: number, pages: unknown[][], at: number }>}
+ */
+const _partialPages = new Map();
+
+/**
+ * @typedef {Object} PageProgress
+ * @property {string} label   Dataset name, e.g. 'items'
+ * @property {number} loaded  Pages fetched so far (including resumed ones)
+ * @property {number} total   Total pages
+ */
+
 /**
  * Fetches ALL pages of a paginated endpoint and merges the data arrays.
  *
- * Reads pagination.totalPages from the first response so it can log
- * accurate progress ("Fetching items page 3 of 12...") and fetch all
- * remaining pages in order.
+ * Reads pagination.totalPages from the first response, then fetches pages
+ * 2..N concurrently (PAGE_CONCURRENCY at a time) and merges them in page
+ * order. `onProgress` fires after page 1 and after every later page. Pages
+ * fetched before a failure or abort are kept for PARTIAL_PAGES_TTL, so a
+ * retry only requests the missing ones.
  *
  * @param {string} path   Relative path including any fixed params, e.g. '/arcs?includeLoot=true'
  * @param {string} label  Human-readable name for progress logs, e.g. 'items'
+ * @param {{ signal?: AbortSignal, onProgress?: (p: PageProgress) => void }} [opts]
  * @returns {Promise<unknown[]>}
  */
-async function fetchAllPages(path, label) {
+async function fetchAllPages(path, label, { signal, onProgress } = {}) {
   const sep = path.includes('?') ? '&' : '?';
+  const pageUrl = (page) => `${BASE_URL}${path}${sep}page=${page}&limit=${API_PAGE_LIMIT}`;
+
+  let progress = _partialPages.get(path);
+  if (progress && Date.now() - progress.at > PARTIAL_PAGES_TTL) progress = null;
 
   // ── Page 1: discover totalPages ─────────────────────────────────────────
-  console.log(`[MetaForge] Fetching ${label} page 1...`);
-  const first = await fetchUrl(
-    `${BASE_URL}${path}${sep}page=1&limit=${API_PAGE_LIMIT}`,
-    path
-  );
+  if (!progress) {
+    console.log(`[MetaForge] Fetching ${label} page 1...`);
+    const first = await fetchUrl(pageUrl(1), path, signal);
+    progress = {
+      totalPages: first.pagination?.totalPages ?? 1,
+      pages:      [first.data ?? []],
+      at:         Date.now(),
+    };
+  } else {
+    console.log(`[MetaForge] Resuming ${label} — ${progress.pages.filter(Boolean).length} of ${progress.totalPages} pages already fetched.`);
+  }
 
-  const totalPages = first.pagination?.totalPages ?? 1;
-  let allData = first.data ?? [];
+  const { totalPages, pages } = progress;
+  const report = () => onProgress?.({ label, loaded: pages.filter(Boolean).length, total: totalPages });
+  report();
 
-  if (totalPages > 1) {
-    console.log(`[MetaForge] Fetching ${label} page 1 of ${totalPages}... done`);
+  // ── Pages 2..N, PAGE_CONCURRENCY at a time (skipping resumed ones) ───────
+  const queue = [];
+  for (let page = 2; page <= totalPages; page++) {
+    if (!pages[page - 1]) queue.push(page);
   }
 
-  // ── Pages 2..N ───────────────────────────────────────────────────────────
-  for (let page = 2; page <= totalPages; page++) {
-    console.log(`[MetaForge] Fetching ${label} page ${page} of ${totalPages}...`);
-    const raw = await fetchUrl(
-      `${BASE_URL}${path}${sep}page=${page}&limit=${API_PAGE_LIMIT}`,
-      path
-    );
-    allData = allData.concat(raw.data ?? []);
+  if (queue.length) {
+    console.log(`[MetaForge] Fetching ${label} pages ${queue[0]}–${totalPages} of ${totalPages} (${PAGE_CONCURRENCY} at a time)...`);
+    let failure = null;
+    const worker = async () => {
+      while (queue.length && !failure) {
+        const page = queue.shift();
+        try {
+          const raw = await fetchUrl(pageUrl(page), path, signal);
+          pages[page - 1] = raw.data ?? [];
+          progress.at = Date.now();
+          report();
+        } catch (err) {
+          failure ??= err;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(PAGE_CONCURRENCY, queue.length) }, worker));
+
+    if (failure) {
+      _partialPages.set(path, progress);
+      throw failure;
+    }
   }
 
+  _partialPages.delete(path);
+  const allData = pages.flat();
   console.log(`[MetaForge] ${label}: ${allData.length} records loaded.`);
   return allData;
 }
 
-async function cachedFetch(cacheKey, fetcher, forceRefresh = false) {
+// ─────────────────────────────────────────────────────────────────────────────
+// CHANGE NOTIFICATIONS + STALE-WHILE-REVALIDATE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, Promise<void>>} cacheKey → in-flight background refresh */
+const _revalidating = new Map();
+
+/**
+ * Writes `data` to the cache and dispatches DATA_CHANGED_EVENT when it
+ * differs from the `previous` cache entry (no event on a cold cache).
+ */
+async function storeAndNotify(cacheKey, data, previous) {
+  await writeStore(cacheKey, data, TTL[cacheKey]);
+  if (previous && JSON.stringify(previous.data) !== JSON.stringify(data)) {
+    console.log(`[MetaForge] ${cacheKey} changed — notifying open pages.`);
+    document.dispatchEvent(new CustomEvent(DATA_CHANGED_EVENT, { detail: { key: cacheKey, data } }));
+  }
+}
+
+/**
+ * Refreshes `cacheKey` in the background; concurrent calls share one request.
+ * Deliberately not tied to the caller's AbortSignal — the refresh still
+ * updates the cache if the user navigates away.
+ */
+function revalidate(cacheKey, fetcher, previous) {
+  if (_revalidating.has(cacheKey)) return;
+  const job = fetcher({})
+    .then(data => storeAndNotify(cacheKey, data, previous))
+    .catch(err => console.warn(`[MetaForge] Background refresh of ${cacheKey} failed:`, err.message))
+    .finally(() => _revalidating.delete(cacheKey));
+  _revalidating.set(cacheKey, job);
+}
+
+/**
+ * Subscribes to DATA_CHANGED_EVENT for one cache key.
+ *
+ * @param {string} cacheKey  e.g. 'items', 'traders'
+ * @param {(data: *) => void} handler  Called with the fresh dataset
+ * @returns {() => void} Unsubscribe function
+ */
+export function onDataChanged(cacheKey, handler) {
+  const listener = (e) => {
+    if (e.detail?.key === cacheKey) handler(e.detail.data);
+  };
+  document.addEventListener(DATA_CHANGED_EVENT, listener);
+  return () => document.removeEventListener(DATA_CHANGED_EVENT, listener);
+}
+
+/**
+ * Returns cached data for `cacheKey`, fetching and caching it when missing.
+ *
+ * With `staleWhileRevalidate`, an expired entry is returned immediately and
+ * refreshed in the background; subscribers are notified via
+ * DATA_CHANGED_EVENT if the refreshed data differs. Without it, an expired
+ * entry blocks on a full refetch (the original behaviour).
+ *
+ * @param {string}   cacheKey
+ * @param {(ctx: { signal?: AbortSignal, onProgress?: Function }) => Promise<*>} fetcher
+ * @param {FetchOptions} [opts]
+ */
+async function cachedFetch(cacheKey, fetcher, { forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   if (!forceRefresh) {
-    const hit = getCache(cacheKey);
+    const hit = await getCache(cacheKey);
+    signal?.throwIfAborted();
     if (hit) return hit.data;
   }
-  const data = await fetcher();
-  writeStore(cacheKey, data, TTL[cacheKey]);
+  const previous = await cachePeek(CACHE_PREFIX + cacheKey);
+  signal?.throwIfAborted();
+  if (previous && staleWhileRevalidate && !forceRefresh) {
+    revalidate(cacheKey, fetcher, previous);
+    return previous.data;
+  }
+  const data = await fetcher({ signal, onProgress });
+  await storeAndNotify(cacheKey, data, previous);
   return data;
 }
 
@@ -225,84 +413,94 @@ async function cachedFetch(cacheKey, fetcher, forceRefresh = false) {
 // PUBLIC FETCH FUNCTIONS
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * @typedef {Object} FetchOptions
+ * @property {boolean}     [forceRefresh]          Skip the cache and refetch
+ * @property {boolean}     [staleWhileRevalidate]  Return expired data now, refresh in the background
+ * @property {AbortSignal} [signal]                Cancels the load; the promise rejects with an AbortError
+ * @property {(p: PageProgress) => void} [onProgress]  Page progress while fetching from the network
+ *                                                     (not called on a cache hit)
+ */
+
 /**
  * Fetch ALL items (527+ records across multiple pages).
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {FetchOptions} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchItems({ forceRefresh = false } = {}) {
+export async function fetchItems({ forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   return cachedFetch(
     'items',
-    () => fetchAllPages('/items', 'items'),
-    forceRefresh
+    (ctx) => fetchAllPages('/items', 'items', ctx).then(validateItems),
+    { forceRefresh, staleWhileRevalidate, signal, onProgress }
   );
 }
 
 /**
  * Fetch all ARC enemies with loot tables included.
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {FetchOptions} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchArcs({ forceRefresh = false } = {}) {
+export async function fetchArcs({ forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   return cachedFetch(
     'arcs',
-    () => fetchAllPages('/arcs?includeLoot=true', 'arcs'),
-    forceRefresh
+    (ctx) => fetchAllPages('/arcs?includeLoot=true', 'arcs', ctx).then(validateArcs),
+    { forceRefresh, staleWhileRevalidate, signal, onProgress }
   );
 }
 
 /**
  * Fetch all quests.
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {FetchOptions} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchQuests({ forceRefresh = false } = {}) {
+export async function fetchQuests({ forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   return cachedFetch(
     'quests',
-    () => fetchAllPages('/quests', 'quests'),
-    forceRefresh
+    (ctx) => fetchAllPages('/quests', 'quests', ctx).then(validateQuests),
+    { forceRefresh, staleWhileRevalidate, signal, onProgress }
   );
 }
 
 /**
  * Fetch all trader inventories.
- * Response shape: { TraderName: TraderItem[] }
- * @param {{ forceRefresh?: boolean }} [opts]
+ * Response shape: { TraderName: TraderItem[] } — anything else is reported
+ * to the schema report and yields {}.
+ * @param {FetchOptions} [opts]
  * @returns {Promise<object>}
  */
-export async function fetchTraders({ forceRefresh = false } = {}) {
+export async function fetchTraders({ forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   return cachedFetch(
     'traders',
-    async () => {
+    async (ctx) => {
       console.log('[MetaForge] Fetching traders...');
-      const raw = await fetchUrl(`${BASE_URL}/traders`, '/traders');
-      const data = (raw && typeof raw.data === 'object' && !Array.isArray(raw.data))
-        ? raw.data
-        : (raw?.data ?? {});
+      const raw = await fetchUrl(`${BASE_URL}/traders`, '/traders', ctx.signal);
+      ctx.onProgress?.({ label: 'traders', loaded: 1, total: 1 });
+      const data = validateTraders(raw?.data);
       const count = Object.values(data).reduce((n, arr) => n + (arr?.length ?? 0), 0);
       console.log(`[MetaForge] traders: ${count} items across ${Object.keys(data).length} traders loaded.`);
       return data;
     },
-    forceRefresh
+    { forceRefresh, staleWhileRevalidate, signal, onProgress }
   );
 }
 
 /**
  * Fetch the upcoming events schedule.
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {FetchOptions} [opts]
  * @returns {Promise<object[]>}
  */
-export async function fetchEventsSchedule({ forceRefresh = false } = {}) {
+export async function fetchEventsSchedule({ forceRefresh = false, staleWhileRevalidate = false, signal, onProgress } = {}) {
   return cachedFetch(
     'eventsSchedule',
-    async () => {
+    async (ctx) => {
       console.log('[MetaForge] Fetching events-schedule...');
-      const raw = await fetchUrl(`${BASE_URL}/events-schedule`, '/events-schedule');
-      const data = raw.data ?? [];
+      const raw = await fetchUrl(`${BASE_URL}/events-schedule`, '/events-schedule', ctx.signal);
+      ctx.onProgress?.({ label: 'eventsSchedule', loaded: 1, total: 1 });
+      const data = validateEvents(raw?.data);
       console.log(`[MetaForge] events-schedule: ${data.length} events loaded.`);
       return data;
     },
-    forceRefresh
+    { forceRefresh, staleWhileRevalidate, signal, onProgress }
   );
 }
 
@@ -310,44 +508,44 @@ export async function fetchEventsSchedule({ forceRefresh = false } = {}) {
 // CONVENIENCE HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
 
-export async function fetchItemsByRarity(rarity, { forceRefresh = false } = {}) {
-  const items = await fetchItems({ forceRefresh });
+export async function fetchItemsByRarity(rarity, { forceRefresh = false, signal } = {}) {
+  const items = await fetchItems({ forceRefresh, signal });
   return items.filter(item => item.rarity === rarity);
 }
 
-export async function fetchItemsByType(itemType, { forceRefresh = false } = {}) {
-  const items = await fetchItems({ forceRefresh });
+export async function fetchItemsByType(itemType, { forceRefresh = false, signal } = {}) {
+  const items = await fetchItems({ forceRefresh, signal });
   return items.filter(item => item.item_type === itemType);
 }
 
-export async function fetchQuestsByTrader(traderName, { forceRefresh = false } = {}) {
-  const quests = await fetchQuests({ forceRefresh });
+export async function fetchQuestsByTrader(traderName, { forceRefresh = false, signal } = {}) {
+  const quests = await fetchQuests({ forceRefresh, signal });
   return quests.filter(q => q.trader_name === traderName);
 }
 
-export async function fetchActiveEvents({ forceRefresh = false } = {}) {
-  const events = await fetchEventsSchedule({ forceRefresh });
+export async function fetchActiveEvents({ forceRefresh = false, signal } = {}) {
+  const events = await fetchEventsSchedule({ forceRefresh, signal });
   const now = Date.now();
   return events.filter(e => e.startTime <= now && now < e.endTime);
 }
 
-export async function fetchEventsByMap(mapName, { forceRefresh = false } = {}) {
-  const events = await fetchEventsSchedule({ forceRefresh });
+export async function fetchEventsByMap(mapName, { forceRefresh = false, signal } = {}) {
+  const events = await fetchEventsSchedule({ forceRefresh, signal });
   return events.filter(e => e.map === mapName);
 }
 
 /**
  * Prefetch all endpoints in parallel and prime the cache.
- * @param {{ forceRefresh?: boolean }} [opts]
+ * @param {{ forceRefresh?: boolean, signal?: AbortSignal }} [opts]
  * @returns {Promise<{ ok: string[], failed: Array<{ endpoint: string, error: MetaForgeError }> }>}
  */
-export async function prefetchAll({ forceRefresh = false } = {}) {
+export async function prefetchAll({ forceRefresh = false, signal } = {}) {
   const endpoints = [
-    { key: 'items',          fn: () => fetchItems({ forceRefresh }) },
-    { key: 'arcs',           fn: () => fetchArcs({ forceRefresh }) },
-    { key: 'quests',         fn: () => fetchQuests({ forceRefresh }) },
-    { key: 'traders',        fn: () => fetchTraders({ forceRefresh }) },
-    { key: 'eventsSchedule', fn: () => fetchEventsSchedule({ forceRefresh }) },
+    { key: 'items',          fn: () => fetchItems({ forceRefresh, signal }) },
+    { key: 'arcs',           fn: () => fetchArcs({ forceRefresh, signal }) },
+    { key: 'quests',         fn: () => fetchQuests({ forceRefresh, signal }) },
+    { key: 'traders',        fn: () => fetchTraders({ forceRefresh, signal }) },
+    { key: 'eventsSchedule', fn: () => fetchEventsSchedule({ forceRefresh, signal }) },
   ];
 
   const results = await Promise.allSettled(endpoints.map(e => e.fn()));
@@ -0,0 +1,477 @@
+/**
+ * src/services/models.js
+ *
+ * Schema validation and normalization for MetaForge and ARDB payloads.
+ *
+ * The fetch services run every record they receive through the validators
+ * below before caching it, so page modules always see one canonical shape:
+ *   • rarity is Title case everywhere ("Epic" — ARDB sends "epic")
+ *   • counts sent as numeric strings ("3") become numbers
+ *   • a field with the wrong type is replaced by null instead of crashing a
+ *     page that calls `.map()` on it
+ *   • records missing a required field (usually id / name) are dropped
+ *
+ * Every deviation is recorded in the schema report (getSchemaReport()), which
+ * the #/status page shows — upstream schema drift becomes a diagnostic
+ * instead of a half-empty page. Unknown extra fields pass through untouched.
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Canonical rarity names, lowest → highest. */
+export const RARITIES = ['Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+
+const RARITY_BY_LOWER = new Map(RARITIES.map(r => [r.toLowerCase(), r]));
+
+/** Example violations kept per schema in the report. */
+const MAX_SAMPLES = 20;
+
+/**
+ * Field specs per record kind. A spec is a type token with optional
+ * suffixes: `[]` for an array of that type, `?` for nullable/optional.
+ *
+ *   string | number | boolean | object | array
+ *   rarity  — string, canonicalized to RARITIES casing
+ *   count   — number; numeric strings are converted
+ *   <kind>  — nested record validated against that schema
+ *
+ * Only fields some module reads are listed; others pass through as-is.
+ */
+const SCHEMAS = {
+  // ── MetaForge ──────────────────────────────────────────────────────────
+  'mf.item': {
+    id:          'string',
+    name:        'string',
+    item_type:   'string?',
+    rarity:      'rarity?',
+    icon:        'string?',
+    description: 'string?',
+    value:       'count?',
+    workbench:   'string?',
+    stat_block:  'object?',
+    subcategory: 'string?',
+    loot_area:   'string?',
+    ammo_type:   'string?',
+    sources:     'array?',
+    locations:   'array?',
+    guide_links: 'array?',
+  },
+  'mf.itemRef': {
+    id:        'string',
+    name:      'string?',
+    icon:      'string?',
+    rarity:    'rarity?',
+    item_type: 'string?',
+  },
+  'mf.itemStack': {
+    item:     'mf.itemRef?',
+    quantity: 'count?',
+  },
+  'mf.arc': {
+    id:          'string',
+    name:        'string',
+    icon:        'string?',
+    image:       'string?',
+    description: 'string?',
+    loot:        'mf.itemStack[]?',
+  },
+  'mf.quest': {
+    id:             'string',
+    name:           'string',
+    trader_name:    'string?',
+    image:          'string?',
+    xp:             'count?',
+    objectives:     'string[]?',
+    locations:      'array?',
+    guide_links:    'array?',
+    required_items: 'mf.itemStack[]?',
+    rewards:        'mf.itemStack[]?',
+    granted_items:  'mf.itemStack[]?',
+  },
+  'mf.traderItem': {
+    id:           'string',
+    name:         'string',
+    icon:         'string?',
+    rarity:       'rarity?',
+    item_type:    'string?',
+    description:  'string?',
+    value:        'count?',
+    trader_price: 'count?',
+  },
+  'mf.event': {
+    name:      'string',
+    map:       'string',
+    icon:      'string?',
+    startTime: 'count',
+    endTime:   'count',
+  },
+
+  // ── ARDB ───────────────────────────────────────────────────────────────
+  'ardb.item': {
+    id:        'string',
+    name:      'string',
+    rarity:    'rarity?',
+    type:      'string?',
+    value:     'count?',
+    icon:      'string?',
+    foundIn:   'string[]?',
+    updatedAt: 'string?',
+  },
+  'ardb.ingredient': {
+    item:   'ardb.item?',
+    amount: 'count?',
+  },
+  'ardb.craftingRequirement': {
+    outputAmount:  'count?',
+    requiredItems: 'ardb.ingredient[]?',
+  },
+  'ardb.itemDetail': {
+    id:                  'string',
+    name:                'string',
+    rarity:              'rarity?',
+    type:                'string?',
+    value:               'count?',
+    weight:              'number?',
+    stackSize:           'count?',
+    icon:                'string?',
+    image:               'string?',
+    description:         'string?',
+    foundIn:             'string[]?',
+    maps:                'array?',
+    sources:             'array?',
+    weaponSpecs:         'object?',
+    craftingRequirement: 'ardb.craftingRequirement?',
+    breaksInto:          'ardb.ingredient[]?',
+    usedInCraft:         'ardb.item[]?',
+    compatibleWith:      'ardb.item[]?',
+    variants:            'ardb.item[]?',
+  },
+  'ardb.enemy': {
+    id:        'string',
+    name:      'string',
+    icon:      'string?',
+    updatedAt: 'string?',
+  },
+  'ardb.enemyDetail': {
+    id:                   'string',
+    name:                 'string',
+    icon:                 'string?',
+    image:                'string?',
+    dropTable:            'ardb.item[]?',
+    markers:              'object[]?',
+    relatedMaps:          'object[]?',
+    relatedLocationTypes: 'string[]?',
+  },
+};
+
+/**
+ * @typedef {Object} SchemaViolation
+ * @property {string}      recordId  id (or name) of the offending record, '' if neither
+ * @property {string}      field     dotted path, e.g. 'rewards.0.quantity'
+ * @property {string}      problem   e.g. 'expected number, got string'
+ */
+
+/**
+ * @typedef {Object} SchemaReportEntry
+ * @property {string}            source      e.g. 'MetaForge /items'
+ * @property {string}            kind        schema name, e.g. 'mf.item'
+ * @property {number}            checked     records validated
+ * @property {number}            dropped     records rejected (missing required fields)
+ * @property {number}            violations  total violations found
+ * @property {SchemaViolation[]} samples     first MAX_SAMPLES violations
+ * @property {Date}              checkedAt
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FIELD CHECKS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Splits a spec like 'ardb.item[]?' into its parts. */
+function parseSpec(spec) {
+  const optional = spec.endsWith('?');
+  const core     = optional ? spec.slice(0, -1) : spec;
+  const isArray  = core.endsWith('[]');
+  return { type: isArray ? core.slice(0, -2) : core, isArray, optional };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Title-cases a rarity name ("epic" → "Epic"). Empty values pass through —
+ * MetaForge sends "" for cosmetics that have no rarity.
+ *
+ * @param {*} value
+ * @returns {*} the canonical name, or `value` unchanged if unrecognized
+ */
+export function canonicalRarity(value) {
+  if (typeof value !== 'string') return value;
+  return RARITY_BY_LOWER.get(value.trim().toLowerCase()) ?? value;
+}
+
+/**
+ * Converts one scalar/nested value to its canonical form.
+ * Returns `{ ok, value }`; `ok: false` means the type didn't match.
+ */
+function convertValue(type, value, ctx, path) {
+  switch (type) {
+    case 'string':
+    case 'boolean':
+      return { ok: typeof value === type, value };
+    case 'number':
+      return { ok: typeof value === 'number' && Number.isFinite(value), value };
+    case 'count': {
+      if (typeof value === 'number' && Number.isFinite(value)) return { ok: true, value };
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+      return Number.isFinite(n) ? { ok: true, value: n } : { ok: false, value };
+    }
+    case 'object':
+      return { ok: typeOf(value) === 'object', value };
+    case 'array':
+      return { ok: Array.isArray(value), value };
+    case 'rarity': {
+      if (typeof value !== 'string') return { ok: false, value };
+      const canonical = canonicalRarity(value);
+      if (value.trim() && !RARITIES.includes(canonical)) {
+        ctx.flag(path, `unknown rarity "${value}"`);
+      }
+      return { ok: true, value: canonical };
+    }
+    default: {
+      // Nested record
+      if (typeOf(value) !== 'object') return { ok: false, value };
+      const nested = normalizeFields(type, value, ctx, path);
+      return nested ? { ok: true, value: nested } : { ok: false, value };
+    }
+  }
+}
+
+/**
+ * Validates and normalizes `record` against SCHEMAS[kind]. Violations are
+ * reported through `ctx.flag(path, problem)`.
+ *
+ * @returns {object|null} canonical copy, or null if a required field is unusable
+ */
+function normalizeFields(kind, record, ctx, prefix = '') {
+  const out = { ...record };
+  let usable = true;
+
+  for (const [field, spec] of Object.entries(SCHEMAS[kind])) {
+    const { type, isArray, optional } = parseSpec(spec);
+    const path  = prefix ? `${prefix}.${field}` : field;
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        ctx.flag(path, 'missing required field');
+        usable = false;
+      }
+      continue;
+    }
+
+    if (isArray) {
+      if (!Array.isArray(value)) {
+        ctx.flag(path, `expected array, got ${typeOf(value)}`);
+        if (optional) out[field] = null; else usable = false;
+        continue;
+      }
+      // Bad elements are dropped; the rest of the list survives
+      out[field] = value.flatMap((el, i) => {
+        const res = convertValue(type, el, ctx, `${path}.${i}`);
+        if (res.ok) return [res.value];
+        ctx.flag(`${path}.${i}`, `expected ${type}, got ${typeOf(el)}`);
+        return [];
+      });
+      continue;
+    }
+
+    const res = convertValue(type, value, ctx, path);
+    if (res.ok) {
+      out[field] = res.value;
+    } else {
+      ctx.flag(path, `expected ${type}, got ${typeOf(value)}`);
+      if (optional) out[field] = null; else usable = false;
+    }
+  }
+
+  return usable ? out : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// REPORT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, SchemaReportEntry>}  source → latest report */
+const _report = new Map();
+
+/**
+ * Returns the report entry for `source`. Lists reset it (the report
+ * describes the latest payload); single-record sources (ARDB detail
+ * endpoints) accumulate across calls.
+ */
+function reportEntry(source, kind, reset) {
+  let entry = _report.get(source);
+  if (!entry || reset) {
+    entry = { source, kind, checked: 0, dropped: 0, violations: 0, samples: [], checkedAt: new Date() };
+    _report.set(source, entry);
+  }
+  entry.checkedAt = new Date();
+  return entry;
+}
+
+/** Per-record reporting context handed to normalizeFields(). */
+function recordContext(entry, record) {
+  const recordId = String(record?.id ?? record?.name ?? '');
+  return {
+    flag(field, problem) {
+      entry.violations++;
+      if (entry.samples.length < MAX_SAMPLES) entry.samples.push({ recordId, field, problem });
+    },
+  };
+}
+
+/** Records a payload that isn't the expected container at all. */
+function flagPayload(entry, problem) {
+  entry.violations++;
+  if (entry.samples.length < MAX_SAMPLES) entry.samples.push({ recordId: '', field: '<payload>', problem });
+}
+
+function logSummary(entry) {
+  if (!entry.violations) return;
+  console.warn(
+    `[Schema] ${entry.source}: ${entry.violations} violation(s) in ${entry.checked} record(s)` +
+    (entry.dropped ? `, ${entry.dropped} dropped` : '') + '.',
+    entry.samples.slice(0, 3)
+  );
+}
+
+/**
+ * Snapshot of every validation run this session, sorted by source.
+ *
+ * @returns {SchemaReportEntry[]}
+ */
+export function getSchemaReport() {
+  return [..._report.values()]
+    .sort((a, b) => a.source.localeCompare(b.source))
+    .map(entry => ({ ...entry, samples: [...entry.samples] }));
+}
+
+export function clearSchemaReport() {
+  _report.clear();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VALIDATORS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validates a list payload. A non-array payload is itself a violation and
+ * yields an empty list.
+ *
+ * @param {string} kind    key of SCHEMAS
+ * @param {string} source  label for the report, e.g. 'MetaForge /items'
+ * @param {*}      records
+ * @returns {object[]} canonical records (invalid ones dropped)
+ */
+export function validateList(kind, source, records) {
+  const entry = reportEntry(source, kind, true);
+  if (!Array.isArray(records)) {
+    flagPayload(entry, `expected array, got ${typeOf(records)}`);
+    logSummary(entry);
+    return [];
+  }
+
+  const out = [];
+  for (const record of records) {
+    entry.checked++;
+    const ctx = recordContext(entry, record);
+    const normalized = typeOf(record) === 'object' ? normalizeFields(kind, record, ctx) : null;
+    if (normalized) {
+      out.push(normalized);
+    } else {
+      if (typeOf(record) !== 'object') ctx.flag('<record>', `expected object, got ${typeOf(record)}`);
+      entry.dropped++;
+    }
+  }
+  logSummary(entry);
+  return out;
+}
+
+/**
+ * Validates a single-record payload (ARDB detail endpoints).
+ *
+ * @param {string} kind
+ * @param {string} source
+ * @param {*}      record
+ * @returns {object|null} canonical record, or null if unusable
+ */
+export function validateRecord(kind, source, record) {
+  const entry = reportEntry(source, kind, false);
+  entry.checked++;
+  const ctx = recordContext(entry, record);
+  if (typeOf(record) !== 'object') {
+    ctx.flag('<record>', `expected object, got ${typeOf(record)}`);
+    entry.dropped++;
+    logSummary(entry);
+    return null;
+  }
+  const normalized = normalizeFields(kind, record, ctx);
+  if (!normalized) entry.dropped++;
+  logSummary(entry);
+  return normalized;
+}
+
+// ── MetaForge ────────────────────────────────────────────────────────────────
+
+export const validateItems  = (records) => validateList('mf.item',  'MetaForge /items',           records);
+export const validateArcs   = (records) => validateList('mf.arc',   'MetaForge /arcs',            records);
+export const validateQuests = (records) => validateList('mf.quest', 'MetaForge /quests',          records);
+export const validateEvents = (records) => validateList('mf.event', 'MetaForge /events-schedule', records);
+
+/**
+ * Validates the /traders `data` payload — a map of trader name → inventory.
+ * Anything else (an array, a bare list) is reported rather than guessed at.
+ *
+ * @param {*} data  `raw.data` from /traders, or an already-unwrapped map
+ * @returns {Object<string, object[]>}
+ */
+export function validateTraders(data) {
+  const source = 'MetaForge /traders';
+  const entry  = reportEntry(source, 'mf.traderItem', true);
+  if (typeOf(data) !== 'object') {
+    flagPayload(entry, `expected { TraderName: items[] } map, got ${typeOf(data)}`);
+    logSummary(entry);
+    return {};
+  }
+
+  const traders = {};
+  for (const [name, items] of Object.entries(data)) {
+    if (!Array.isArray(items)) {
+      flagPayload(entry, `inventory of "${name}" is ${typeOf(items)}, expected array`);
+      continue;
+    }
+    traders[name] = items.flatMap((item) => {
+      entry.checked++;
+      const ctx = recordContext(entry, item);
+      const normalized = typeOf(item) === 'object' ? normalizeFields('mf.traderItem', item, ctx) : null;
+      if (normalized) return [normalized];
+      entry.dropped++;
+      return [];
+    });
+  }
+  logSummary(entry);
+  return traders;
+}
+
+// ── ARDB ─────────────────────────────────────────────────────────────────────
+
+export const validateArdbItems   = (records) => validateList('ardb.item',  'ARDB /items',       records);
+export const validateArdbEnemies = (records) => validateList('ardb.enemy', 'ARDB /arc-enemies', records);
+
+export const validateArdbItem  = (record) => validateRecord('ardb.itemDetail',  'ARDB /items/:id',       record);
+export const validateArdbEnemy = (record) => validateRecord('ardb.enemyDetail', 'ARDB /arc-enemies/:id', record);
@@ -204,16 +204,46 @@ function normalizeTraders(tradersData) {
 // BUILD
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function _doBuild(forceRefresh) {
+/**
+ * Combines per-dataset page progress into one overall fraction. A dataset
+ * counts as one pending page until its first response reveals totalPages,
+ * and as complete once its fetch settles (cache hits never report pages).
+ *
+ * @param {string[]} labels
+ * @param {((fraction: number) => void)|undefined} onProgress
+ */
+function progressTracker(labels, onProgress) {
+  const state = new Map(labels.map((label) => [label, { loaded: 0, total: 1 }]));
+  const emit = () => {
+    if (!onProgress) return;
+    let loaded = 0;
+    let total  = 0;
+    for (const p of state.values()) { loaded += p.loaded; total += p.total; }
+    onProgress(total ? loaded / total : 1);
+  };
+  return {
+    update: (label) => ({ loaded, total }) => { state.set(label, { loaded, total }); emit(); },
+    done:   (label) => () => {
+      const p = state.get(label);
+      state.set(label, { loaded: p.total, total: p.total });
+      emit();
+    },
+  };
+}
+
+async function _doBuild(forceRefresh, onProgress) {
   _state = 'loading';
   _error = null;
 
+  const tracker = progressTracker(['items', 'arcs', 'quests', 'traders'], onProgress);
+  const track = (label, promise) => promise.finally(tracker.done(label));
+
   const [itemsResult, arcsResult, questsResult, tradersResult] =
     await Promise.allSettled([
-      fetchItems({ forceRefresh }),
-      fetchArcs({ forceRefresh }),
-      fetchQuests({ forceRefresh }),
-      fetchTraders({ forceRefresh }),
+      track('items',   fetchItems({ forceRefresh, onProgress: tracker.update('items') })),
+      track('arcs',    fetchArcs({ forceRefresh, onProgress: tracker.update('arcs') })),
+      track('quests',  fetchQuests({ forceRefresh, onProgress: tracker.update('quests') })),
+      track('traders', fetchTraders({ forceRefresh, onProgress: tracker.update('traders') })),
     ]);
 
   const warn = (label, reason) =>
@@ -248,10 +278,13 @@ async function _doBuild(forceRefresh) {
  * Safe to call multiple times — subsequent calls return immediately.
  * Concurrent calls during an in-progress build share the same Promise.
  *
- * @param {{ forceRefresh?: boolean }} [opts]
+ * `onProgress` receives the overall load fraction (0–1) as pages arrive;
+ * only the call that starts a build gets progress callbacks.
+ *
+ * @param {{ forceRefresh?: boolean, onProgress?: (fraction: number) => void }} [opts]
  * @returns {Promise<IndexEntry[]>}
  */
-export async function buildIndex({ forceRefresh = false } = {}) {
+export async function buildIndex({ forceRefresh = false, onProgress } = {}) {
   if (_state === 'ready' && !forceRefresh) return _index;
 
   if (forceRefresh) {
@@ -261,7 +294,7 @@ export async function buildIndex({ forceRefresh = false } = {}) {
 
   if (_buildPromise) return _buildPromise;
 
-  _buildPromise = _doBuild(forceRefresh).catch((err) => {
+  _buildPromise = _doBuild(forceRefresh, onProgress).catch((err) => {
     _state = 'error';
     _error = err instanceof Error ? err : new Error(String(err));
     _buildPromise = null;
@@ -0,0 +1,78 @@
+/**
+ * src/services/snapshotApi.js
+ *
+ * First-load bootstrap from the aggregated /api/snapshot bundle. One request
+ * returns every dataset the portal needs (MetaForge items, arcs, quests,
+ * traders, events schedule and the ARDB items list); this module hydrates the
+ * metaforgeApi and ardbApi caches from it so the per-endpoint fetchers — and
+ * the search index built on them — resolve from cache instead of issuing
+ * 5+ parallel requests and a page-by-page /items loop.
+ *
+ * Failure is never fatal: if the bundle can't be loaded the services simply
+ * fall back to fetching each endpoint themselves.
+ */
+
+import { CACHE_KEYS, getCacheStatus, hydrateCache } from './metaforgeApi.js';
+import { hydrateArdbItems } from './ardbApi.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SNAPSHOT_URL = '/api/snapshot';
+
+/** Bundle format this client understands — must match SNAPSHOT_VERSION in api/snapshot.js. */
+const SNAPSHOT_VERSION = 1;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LOADER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Promise<{ hydrated: string[], skipped: boolean }>|null} */
+let _loadPromise = null;
+
+/**
+ * Loads /api/snapshot and hydrates every client cache from it.
+ *
+ * Skipped (no request) when all MetaForge caches are still fresh. Concurrent
+ * callers share one in-flight request.
+ *
+ * @param {{ forceRefresh?: boolean }} [opts]
+ * @returns {Promise<{ hydrated: string[], skipped: boolean }>}
+ *   hydrated — dataset keys written into the caches
+ * @throws {Error} on network failure, non-2xx, or an unsupported bundle version
+ */
+export async function loadSnapshot({ forceRefresh = false } = {}) {
+  if (!forceRefresh) {
+    const statuses = await Promise.all(CACHE_KEYS.map(getCacheStatus));
+    if (statuses.every(st => st.cached)) return { hydrated: [], skipped: true };
+  }
+  if (_loadPromise) return _loadPromise;
+
+  _loadPromise = (async () => {
+    console.log('[Snapshot] Fetching bundle...');
+    const res = await fetch(SNAPSHOT_URL, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error(`/api/snapshot returned HTTP ${res.status}`);
+
+    const bundle = await res.json();
+    if (bundle?.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${bundle?.version}`);
+    }
+
+    const { ardbItems, ...metaforge } = bundle.datasets ?? {};
+    const hydrated = await hydrateCache(metaforge);
+    if (await hydrateArdbItems(ardbItems)) hydrated.push('ardbItems');
+
+    for (const { dataset, message } of bundle.errors ?? []) {
+      console.warn(`[Snapshot] ${dataset} missing from bundle: ${message}`);
+    }
+    console.log(`[Snapshot] Hydrated ${hydrated.length} dataset(s): ${hydrated.join(', ')}`);
+    return { hydrated, skipped: false };
+  })();
+
+  try {
+    return await _loadPromise;
+  } finally {
+    _loadPromise = null;
+  }
+}